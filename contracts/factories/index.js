@@ -1,5 +1,9 @@
 
+export { ConduitController__factory } from './ConduitController__factory';
 export { ERC1155__factory } from './ERC1155__factory';
 export { ERC20__factory } from './ERC20__factory';
+export { ERC2981__factory } from './ERC2981__factory';
 export { ERC721__factory } from './ERC721__factory';
-export { Seaport__factory } from "./Seaport__factory"
\ No newline at end of file
+export { Seaport__factory } from "./Seaport__factory"
+export { WETH__factory } from './WETH__factory';
+export { Zone__factory } from './Zone__factory';
\ No newline at end of file
@@ -1,22 +1,73 @@
-import defaultAddresses from "./contracts/addresses.json";
 import { constants } from "ethers";
-import { Seaport__factory } from "./contracts/factories";
+import {
+  ConduitController__factory,
+  Seaport__factory,
+} from "./contracts/factories";
 import {
   approveAsset,
   getApprovalStatus,
+  getConduit,
   getWrappedNativeToken,
   randomHex,
   toBN,
-  toKey,
   getOrderHash,
+  deriveOrderHash,
+  deriveDomainSeparator,
+  recoverOrderSigner,
   convertSignatureToEIP2098,
   parseEther,
+  getTokenDecimals,
+  parseTokenAmount,
+  formatTokenAmount,
   getBasicOrderParameters,
+  getBasicOrderRouteType,
+  getMaxAmount,
   signOrder,
-  getFulfillment,
-  getFulFillmentArrByOrder,
   getOfferOrConsiderationItem,
 } from "./utils/pure";
+import {
+  checkBalancesAndApprovals,
+  checkOrderParameters,
+  checkOrderStatus,
+  isPaidByOffererBasicOrder,
+  resolveItems,
+} from "./utils/validation";
+import { sendSeaportTransaction, withSeaportErrors } from "./utils/errors";
+import { getConsiderationWithFees, getFeeItems } from "./utils/fees";
+import { buildCriteriaTree, getCriteriaProof } from "./utils/criteria";
+import { getPartialFillFraction, getRemainingUnits } from "./utils/fractions";
+import {
+  getBidAmount,
+  getMinimumBid,
+  getSettlementConsideration,
+  validateBid,
+} from "./utils/auction";
+import { getCurrentPrice, getFulfillmentValue } from "./utils/pricing";
+import {
+  getAvailableOrdersFulfillments,
+  getMatchFulfillments,
+  getNativeValue,
+} from "./utils/fulfillments";
+import {
+  getConsiderationWithRoyalties,
+  getRoyaltyInfo,
+} from "./utils/royalties";
+import { getDeployment, normalizeChainId } from "./utils/registry";
+import { getApprovalItems } from "./utils/approvals";
+import { canExecuteOrder, checkCanceller } from "./utils/zones";
+import { areTipsBasicCompatible, checkTips, withTips } from "./utils/tips";
+import {
+  depositNative,
+  getAmountToWrap,
+  getWrappedBalance,
+  toWrappedOffer,
+  withdrawNative,
+} from "./utils/weth";
+import {
+  getFulfilledOrderHashes,
+  getSeaportEvents,
+  subscribeToSeaportEvents,
+} from "./utils/events";
 
 class SDK {
   // RPC provider from ethers
@@ -25,29 +76,79 @@ class SDK {
   signer;
   // Chain Id for this instance.
   chainId;
+  // Address overrides given to the constructor
+  addresses;
+  // Contract addresses for this chain, see utils/registry
+  deployment;
   marketplaceContract;
 
   /**
    * @param provider Provider from ethers
    * @param {object} [signer] signer from ethers
    * @param {string|number} [chainId] chainId || networkId
+   * @param {object} [addresses] Overrides the registered addresses of the chain
+   * @param {string} [addresses.seaport] Seaport address
+   * @param {string} [addresses.conduitController] ConduitController address
+   * @param {object} [addresses.conduits] Known conduits, conduitKey => address
+   * @param {string} [addresses.wrappedNativeToken] Wrapped native token address
+   * @param {object} [addresses.zones] Known zones, name => address
    * @returns
    */
-  constructor(provider, signer, chainId) {
+  constructor(provider, signer, chainId, addresses) {
     this.provider = provider;
     this.signer = signer ?? provider.getSigner();
     this.chainId = chainId
-      ? typeof chainId === "string" && chainId.includes("0x")
-        ? parseInt(chainId, 16)
-        : parseInt(chainId.toString(10), 10)
+      ? normalizeChainId(chainId)
       : provider._network.chainId;
+    this.addresses = addresses;
+    this.deployment = getDeployment(this.chainId, addresses);
+
+    if (!this.deployment.seaport) {
+      throw new Error(
+        `Seaport is not deployed on chain ${this.chainId}: register it with registerDeployment or pass addresses.seaport`
+      );
+    }
 
     this.marketplaceContract = Seaport__factory.connect(
-      defaultAddresses[this.chainId.toString(10)].seaport ?? null,
+      this.deployment.seaport,
       signer ?? provider
     );
   }
 
+  /**
+   * Function to get the address that transfers tokens for a conduit key,
+   * which is Seaport itself for the zero conduit key.
+   * @param {string} [conduitKey] The conduit key used to deploy the conduit.
+   * @returns {string} conduit address
+   */
+  getConduitAddress = async (conduitKey = constants.HashZero) => {
+    if (conduitKey === constants.HashZero) {
+      return this.marketplaceContract.address;
+    }
+
+    const knownConduit = Object.entries(this.deployment.conduits).find(
+      ([key]) => key.toLowerCase() === conduitKey.toLowerCase()
+    );
+    if (knownConduit) {
+      return knownConduit[1];
+    }
+
+    if (!this.deployment.conduitController) {
+      throw new Error(
+        `ConduitController is not deployed on chain ${this.chainId}: pass addresses.conduitController`
+      );
+    }
+    const conduit = await getConduit(
+      ConduitController__factory.connect(
+        this.deployment.conduitController,
+        this.provider
+      ),
+      conduitKey
+    );
+    this.deployment.conduits[conduitKey] = conduit;
+    return conduit;
+  };
+
   /**
    * Checks if an asset is approved for trading with Seaport
    * If an asset is not approved, call approveTokenOrNftByAsset to approve.
@@ -56,12 +157,18 @@ class SDK {
    * @param {string} [asset.token] Token Address of asset
    * @param {string|number} [asset.tokenId] Only needed when checking ERC721
    * @param walletAddress The wallet address that owns the asset
+   * @param {string} [conduitKey] Check the approval of this conduit instead
+   *                              of Seaport
    * @returns
    */
-  loadApprovalStatus = async (asset, walletAddress) => {
+  loadApprovalStatus = async (
+    asset,
+    walletAddress,
+    conduitKey = constants.HashZero
+  ) => {
     return getApprovalStatus(
       walletAddress,
-      this.marketplaceContract.address,
+      await this.getConduitAddress(conduitKey),
       asset,
       this.provider
     );
@@ -72,6 +179,8 @@ class SDK {
    * @param asset
    * @param approvalTransactionOverrides
    * @param otherOverrides
+   * @param {string} [otherOverrides.conduitKey] Approve this conduit instead
+   *                                             of Seaport
    * @returns An ethers contract transaction
    */
   approveAsset = async (
@@ -84,7 +193,7 @@ class SDK {
       throw new Error("Signer not defined");
     }
     return approveAsset(
-      this.marketplaceContract.address, // todo: opensea現在似乎都是用forwarder
+      await this.getConduitAddress(otherOverrides?.conduitKey),
       asset,
       signerToUse,
       {
@@ -94,6 +203,74 @@ class SDK {
     );
   };
 
+  /**
+   * Function to plan the approvals a wallet needs before listing or buying
+   * orders, one per token and operator (Seaport or conduit) that is not
+   * approved yet
+   * @param {Object[]} orders Orders || orderComponents
+   * @param {string} wallet Address of the wallet
+   * @param {string} role "offerer" to approve the offer items of the orders
+   *                      of the wallet, "fulfiller" to approve the
+   *                      consideration items of every order
+   * @param {Object} [options]
+   * @param {string} [options.fulfillerConduitKey] Conduit key the fulfiller
+   *                                               uses
+   * @returns {Object[]} approval actions in the order the tokens appear, as
+   *          { itemType, token, conduitKey, operator, execute }, execute
+   *          sending the approval through approveAsset
+   */
+  planApprovals = async (
+    orders,
+    wallet,
+    role,
+    { fulfillerConduitKey = constants.HashZero } = {}
+  ) => {
+    const items = getApprovalItems(
+      Array.isArray(orders) ? orders : [orders],
+      wallet,
+      role,
+      fulfillerConduitKey
+    );
+
+    const operators = {};
+    await Promise.all(
+      [...new Set(items.map(({ conduitKey }) => conduitKey))].map(
+        async (conduitKey) => {
+          operators[conduitKey] = await this.getConduitAddress(conduitKey);
+        }
+      )
+    );
+
+    const actions = [];
+    const seen = new Set();
+    items.forEach(({ itemType, token, conduitKey }) => {
+      const operator = operators[conduitKey];
+      const key = `${token.toLowerCase()}:${operator.toLowerCase()}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        actions.push({ itemType, token, conduitKey, operator });
+      }
+    });
+
+    const approved = await Promise.all(
+      actions.map(({ itemType, token, operator }) =>
+        getApprovalStatus(wallet, operator, { itemType, token }, this.provider)
+      )
+    );
+
+    return actions
+      .filter((_, i) => !approved[i])
+      .map((action) => ({
+        ...action,
+        execute: (txOverrides) =>
+          this.approveAsset(
+            { itemType: action.itemType, token: action.token },
+            txOverrides,
+            { conduitKey: action.conduitKey }
+          ),
+      }));
+  };
+
   /**
    * Create an Order
    * @param offer Transaction hash to await
@@ -114,13 +291,30 @@ class SDK {
    * @param zoneHash The hash to provide upon calling the zone.
    * @param conduitKey   The conduit key used to deploy the conduit. Note that
    *                     the first twenty bytes of the conduit key must match
-   *                     the caller of this contract.
+   *                     the caller of this contract. The offer items are
+   *                     transferred through this conduit, so it needs to be
+   *                     approved instead of Seaport.
    * @param extraCheap
-   * @returns
+   * @param crossCheckOrderHash Also fetch the order hash from the contract and
+   *                            throw if it differs from the locally derived one
+   * @param includeRoyalties Append the ERC-2981 royalty of each ERC721/ERC1155
+   *                         offer item to the consideration, deducted from
+   *                         the offerer's payment
+   * @param royaltyOverride (offerItem, royalty) => royalty, to change or skip
+   *                        (null) the royalty found for an offer item
+   * @param counter Counter of the offerer, read from the contract if omitted
+   * @param signer Signer from ethers to sign with, default the SDK's signer
+   * @param offline Do not read the chain at all (counter needed), the order
+   *                status is not returned
+   * @param wrapNativeOffer Replace NATIVE offer items, which Seaport rejects,
+   *                        by wrapped native token items
+   * @returns order, orderHash, value, orderStatus, orderComponents and
+   *          amountToWrap, the wrapped native token the offerer lacks for
+   *          the order to be fillable (not returned offline)
    */
   createOrder = async ({
-    offer,
-    consideration,
+    offer: offerWithNative,
+    consideration: considerationWithoutRoyalties,
     orderType = 0,
     startTime = Math.floor(Date.now() / 1000),
     endTime = startTime + 2678400, // default: 31 days
@@ -129,11 +323,41 @@ class SDK {
     zoneHash = constants.HashZero,
     conduitKey = constants.HashZero,
     extraCheap = false,
+    crossCheckOrderHash = false,
+    includeRoyalties = false,
+    royaltyOverride,
+    counter: givenCounter,
+    signer = this.signer,
+    offline = false,
+    wrapNativeOffer = true,
   }) => {
-    const offerer = this.signer;
+    if (offline && givenCounter === undefined) {
+      throw new Error("Offline orders need the counter of the offerer");
+    }
+    if (offline && (includeRoyalties || crossCheckOrderHash)) {
+      throw new Error(
+        "includeRoyalties and crossCheckOrderHash read the chain, not available offline"
+      );
+    }
+
+    const offerer = signer;
     const marketplaceContract = this.marketplaceContract;
     const offerAddress = await offerer.getAddress();
-    const counter = await marketplaceContract.getCounter(offerAddress);
+    const wrappedToken = this.deployment.wrappedNativeToken;
+    const offer = wrapNativeOffer
+      ? toWrappedOffer(offerWithNative, wrappedToken)
+      : offerWithNative;
+    const consideration = includeRoyalties
+      ? await getConsiderationWithRoyalties(
+          offer,
+          considerationWithoutRoyalties,
+          offerAddress,
+          this.provider,
+          royaltyOverride
+        )
+      : considerationWithoutRoyalties;
+    const counter =
+      givenCounter ?? (await marketplaceContract.getCounter(offerAddress));
 
     const salt = !extraCheap ? randomHex() : constants.HashZero;
 
@@ -155,19 +379,35 @@ class SDK {
       ...orderParameters,
       counter,
     };
-    const orderHash = await getOrderHash(marketplaceContract, orderComponents);
+    const orderHash = await getOrderHash(
+      marketplaceContract,
+      orderComponents,
+      crossCheckOrderHash
+    );
 
-    const { isValidated, isCancelled, totalFilled, totalSize } =
-      await marketplaceContract.getOrderStatus(orderHash);
+    let orderStatus;
+    let amountToWrap;
+    if (!offline) {
+      const { isValidated, isCancelled, totalFilled, totalSize } =
+        await marketplaceContract.getOrderStatus(orderHash);
 
-    // expect(isCancelled).to.equal(false);
+      // expect(isCancelled).to.equal(false);
 
-    const orderStatus = {
-      isValidated,
-      isCancelled,
-      totalFilled,
-      totalSize,
-    };
+      orderStatus = {
+        isValidated,
+        isCancelled,
+        totalFilled,
+        totalSize,
+      };
+      amountToWrap = wrappedToken
+        ? await getAmountToWrap(
+            offer,
+            wrappedToken,
+            offerAddress,
+            this.provider
+          )
+        : toBN(0);
+    }
 
     const flatSig = await signOrder(
       marketplaceContract,
@@ -212,13 +452,46 @@ class SDK {
       value,
       orderStatus,
       orderComponents,
+      amountToWrap,
     };
   };
 
+  /**
+   * Create an Order without any RPC call, e.g. from a cold wallet signing
+   * service: the counter is given, the order hash is computed locally and
+   * the order status is not read.
+   * @param counter REQUIRED: Counter of the offerer
+   * @param {string|number} [chainId] Chain the order is for, default the
+   *                                  SDK's chain. The address overrides of
+   *                                  the SDK apply to it too.
+   * @param [signer] Signer from ethers to sign with, default the SDK's signer
+   * @param params Other params of createOrder (offer, consideration...)
+   * @returns order, orderHash, value and orderComponents, as createOrder
+   */
+  createOrderOffline = async ({ counter, chainId, signer, ...params }) => {
+    const sdk =
+      chainId && normalizeChainId(chainId) !== this.chainId
+        ? new SDK(this.provider, signer ?? this.signer, chainId, this.addresses)
+        : this;
+    const { order, orderHash, value, orderComponents } = await sdk.createOrder({
+      ...params,
+      counter,
+      signer: signer ?? this.signer,
+      offline: true,
+    });
+    return { order, orderHash, value, orderComponents };
+  };
+
   /**
    * Fulfill function, deciding which fulfill function to use
    * @param order Order to fulfill
-   * @param value Value to be sent, get from createOrder
+   * @param value Value to be sent, by default the ether needed at the
+   *              latest block time, enough until timeBuffer seconds later
+   * @param timeBuffer Seconds the transaction may take to be mined, for
+   *                   orders whose price changes over time
+   * @param tips Consideration items added by the fulfiller, the order itself
+   *             is not changed. Basic orders can only be tipped in their
+   *             payment token, other tips go through fulfillOrder.
    * @param criteriaResolvers   An array where each element contains a
    *                            reference to a specific offer or
    *                            consideration, a token identifier, and a proof
@@ -229,125 +502,495 @@ class SDK {
    *                            (transferable) token identifier on the token
    *                            in question is valid and that no associated
    *                            proof needs to be supplied.
+   * @param fulfillerConduitKey The conduit key of the conduit that transfers
+   *                            the consideration items of the fulfiller,
+   *                            Seaport itself by default.
+   * @param extraData Data given to the zone of a restricted order, which is
+   *                  then fulfilled through fulfillAdvancedOrder
+   * @param dryRun Only simulate the fulfillment, returns
+   *               { success, error, result, gasEstimate } instead
    *
    * @returns An ethers contract transaction
    */
   fulfillOrder = async ({
     order,
-    value,
+    value: givenValue,
+    timeBuffer = 300,
     tips = [],
     criteriaResolvers = [],
+    fulfillerConduitKey = constants.HashZero,
+    extraData = order.extraData ?? "0x",
+    dryRun = false,
   }) => {
     if (order.counter) {
       throw new Error("Not orderComponents, give me order");
     }
 
-    const { offer, consideration } = order.parameters;
-
-    if (order.numerator || criteriaResolvers.length > 0) {
-      order.parameters.consideration = [
-        ...order.parameters.consideration,
-        ...tips,
-      ];
-      return this.marketplaceContract.fulfillAdvancedOrder(
+    checkTips(tips);
+    // Seaport refunds the ether that is not spent
+    const value =
+      givenValue ??
+      getFulfillmentValue(
         order,
-        criteriaResolvers,
-        toKey(0), // fulfillerConduitKey
-        constants.AddressZero, // recipient
-        {
-          value,
-        }
+        tips,
+        (await this.provider.getBlock("latest")).timestamp,
+        timeBuffer
       );
-    }
 
-    const cnItemType = consideration[0].itemType;
-    let isBasic;
-
-    // fulfillBasicOrder條件
-    // offer只能有一個 (20 || 721 || 1155)
-    // offer為20時，cn的第一項一定要是721 || 1155，且其他項也只能為20
-    // offer為721 || 1155時，cn每項的type都要相等，且只能為NATIVE || 20
-    // 其餘皆為 fullfillOrder
-    if (offer.length === 1) {
-      if (offer[0].itemType === 1) {
-        if (cnItemType === 2 || cnItemType === 3) {
-          isBasic = true;
-          for (const { itemType } of consideration.slice(1)) {
-            if (itemType === 0 || itemType === 2 || itemType === 3) {
-              isBasic = false;
-              break;
-            }
-          }
-        }
-      } else {
-        if (cnItemType === 0 || cnItemType === 1) {
-          isBasic = true;
-          for (const { itemType } of consideration.slice(1)) {
-            if (itemType !== cnItemType) {
-              isBasic = false;
-              break;
-            }
-          }
-        }
-      }
+    // numerator === denominator (1/1 by default) is a full fill
+    const isPartial =
+      order.numerator && !toBN(order.numerator).eq(toBN(order.denominator));
+    if (isPartial || criteriaResolvers.length > 0 || extraData !== "0x") {
+      return sendSeaportTransaction(
+        this.marketplaceContract,
+        "fulfillAdvancedOrder",
+        [
+          { ...withTips(order, tips), extraData },
+          criteriaResolvers,
+          fulfillerConduitKey,
+          constants.AddressZero, // recipient
+        ],
+        { value },
+        dryRun
+      );
     }
 
-    if (isBasic) {
-      const offerItemType = offer[0].itemType;
-      const cnItemType = consideration[0].itemType;
-      let basicOrderRouteType;
-
-      // 0, // EthForERC721
-      // 1, // EthForERC1155
-      // 2, // ERC20ForERC721
-      // 3, // ERC20ForERC1155
-      // 4, // ERC721forERC20
-      // 5, // ERC1155forERC20
-      if (offerItemType === 1) {
-        basicOrderRouteType = cnItemType === 2 ? 4 : 5;
-      } else if (offerItemType === 2) {
-        basicOrderRouteType = cnItemType === 0 ? 0 : 2;
-      } else {
-        basicOrderRouteType = cnItemType === 0 ? 1 : 3;
-      }
-
+    const basicOrderRouteType = getBasicOrderRouteType(order, tips);
+    if (
+      basicOrderRouteType !== null &&
+      areTipsBasicCompatible(order, basicOrderRouteType, tips)
+    ) {
       const basicOrderParameters = getBasicOrderParameters(
         basicOrderRouteType,
         order,
-        false,
+        fulfillerConduitKey,
         tips
       );
 
-      return this.marketplaceContract.fulfillBasicOrder(basicOrderParameters, {
-        value,
-      });
+      return sendSeaportTransaction(
+        this.marketplaceContract,
+        "fulfillBasicOrder",
+        [basicOrderParameters],
+        { value },
+        dryRun
+      );
     }
-    order.parameters.consideration = [
-      ...order.parameters.consideration,
-      ...tips,
-    ];
-    return this.marketplaceContract.fulfillOrder(order, toKey(0), { value });
+
+    return sendSeaportTransaction(
+      this.marketplaceContract,
+      "fulfillOrder",
+      [withTips(order, tips), fulfillerConduitKey],
+      { value },
+      dryRun
+    );
   };
 
   // fulfillAdvancedOrder
 
+  /**
+   * Fulfill as many of the given orders as are still available, e.g. to
+   * sweep the floor of a collection, skipping those that are not (filled,
+   * cancelled, expired...). Items of the same token are aggregated into a
+   * single transfer.
+   * @param {Object[]} orders Orders to fulfill
+   * @param {Object[]} [criteriaResolvers] see fulfillOrder, orderIndex being
+   *                                       the index in orders
+   * @param {number} [maximumFulfilled] Fulfill at most this many orders,
+   *                                    default all
+   * @param {string} [fulfillerConduitKey] Conduit key to fulfill with
+   * @param {string} [recipient] Address receiving the offer items, default
+   *                             the fulfiller
+   * @param {Object[][]} [tips] Tips to add as consideration, by order index
+   * @param dryRun Only simulate the fulfillment, returns
+   *               { success, error, result, gasEstimate } instead
+   *
+   * @returns An ethers contract transaction, with
+   *          orderHashes: the hash of each order, and
+   *          getAvailableOrders(confirmations): waits for the transaction to
+   *          be mined and resolves to { receipt, availableOrders },
+   *          availableOrders being a boolean per order indicating whether it
+   *          was fulfilled (OrderFulfilled emitted)
+   */
+  fulfillAvailableOrders = async ({
+    orders,
+    criteriaResolvers = [],
+    maximumFulfilled = orders.length,
+    fulfillerConduitKey = constants.HashZero,
+    recipient = constants.AddressZero,
+    tips = [],
+    dryRun = false,
+  }) => {
+    orders.forEach(({ counter }) => {
+      if (counter) throw new Error("Not orderComponents, give me order");
+    });
+    tips.forEach((orderTips) => checkTips(orderTips ?? []));
+    const ordersWithTips = orders.map((order, i) =>
+      withTips(order, tips[i] ?? [])
+    );
+
+    const { offerFulfillments, considerationFulfillments } =
+      getAvailableOrdersFulfillments(ordersWithTips, criteriaResolvers);
+    // Seaport refunds what is not spent on unavailable orders
+    const value = getNativeValue(ordersWithTips);
+
+    const isAdvanced =
+      criteriaResolvers.length > 0 ||
+      recipient !== constants.AddressZero ||
+      orders.some(
+        ({ numerator, denominator }) =>
+          numerator && !toBN(numerator).eq(toBN(denominator))
+      ) ||
+      orders.some(({ extraData }) => (extraData ?? "0x") !== "0x");
+    const method = isAdvanced
+      ? "fulfillAvailableAdvancedOrders"
+      : "fulfillAvailableOrders";
+    const args = isAdvanced
+      ? [
+          ordersWithTips.map((order) => ({
+            numerator: 1,
+            denominator: 1,
+            extraData: "0x",
+            ...order,
+          })),
+          criteriaResolvers,
+          offerFulfillments,
+          considerationFulfillments,
+          fulfillerConduitKey,
+          recipient,
+          maximumFulfilled,
+        ]
+      : [
+          ordersWithTips,
+          offerFulfillments,
+          considerationFulfillments,
+          fulfillerConduitKey,
+          maximumFulfilled,
+        ];
+
+    if (dryRun) {
+      return sendSeaportTransaction(
+        this.marketplaceContract,
+        method,
+        args,
+        { value },
+        dryRun
+      );
+    }
+
+    const offerers = [
+      ...new Set(orders.map(({ parameters }) => parameters.offerer)),
+    ];
+    const counters = await Promise.all(
+      offerers.map((offerer) => this.marketplaceContract.getCounter(offerer))
+    );
+    const orderHashes = orders.map(({ parameters }) =>
+      deriveOrderHash({
+        ...parameters,
+        counter: counters[offerers.indexOf(parameters.offerer)],
+      })
+    );
+
+    const transaction = await sendSeaportTransaction(
+      this.marketplaceContract,
+      method,
+      args,
+      { value }
+    );
+
+    const getAvailableOrders = async (confirmations) => {
+      const receipt = await transaction.wait(confirmations);
+      const fulfilled = getFulfilledOrderHashes(
+        receipt,
+        this.marketplaceContract.address
+      );
+      return {
+        receipt,
+        availableOrders: orderHashes.map((orderHash) =>
+          fulfilled.includes(orderHash)
+        ),
+      };
+    };
+
+    return Object.assign(transaction, { orderHashes, getAvailableOrders });
+  };
+
+  /**
+   * Function to get how much of a partially fillable order is left, counted
+   * in units of its first ERC1155 offer item (else consideration item)
+   * @param order Order in question
+   * @returns remaining amount of units
+   */
+  getRemainingFillableAmount = async (order) => {
+    if (order.counter) {
+      throw new Error("Not orderComponents, give me order");
+    }
+    const { offerer } = order.parameters;
+    const orderHash = await this.getOrderHash({
+      ...order.parameters,
+      counter: await this.marketplaceContract.getCounter(offerer),
+    });
+    const orderStatus = await this.getOrderStatus(orderHash);
+    if (orderStatus.isCancelled) {
+      return toBN(0);
+    }
+    return getRemainingUnits(order, orderStatus);
+  };
+
+  /**
+   * Fulfill part of a PARTIAL_OPEN or PARTIAL_RESTRICTED order through
+   * fulfillAdvancedOrder
+   * @param order Order to fulfill
+   * @param {string|number} amountToFill Units to fill, counted in the amount
+   *                                     of the first ERC1155 offer item
+   *                                     (else consideration item)
+   * @param {Object} [options]
+   * @param {Object[]} [options.tips] Tips to add as consideration
+   * @param {Object[]} [options.criteriaResolvers] see fulfillOrder
+   * @param {string} [options.fulfillerConduitKey] Conduit key to fulfill with
+   * @returns An ethers contract transaction
+   */
+  fulfillPartial = async (
+    order,
+    amountToFill,
+    { tips = [], criteriaResolvers, fulfillerConduitKey } = {}
+  ) => {
+    const { orderType, consideration } = order.parameters;
+    if (orderType !== 1 && orderType !== 3) {
+      throw new Error(`Order type ${orderType} does not support partial fills`);
+    }
+
+    const { numerator, denominator } = getPartialFillFraction(
+      order,
+      amountToFill,
+      tips
+    );
+
+    const remaining = await this.getRemainingFillableAmount(order);
+    if (remaining.lt(toBN(amountToFill))) {
+      throw new Error(
+        `Only ${remaining} units left to fill, ${amountToFill} requested`
+      );
+    }
+
+    // Seaport applies the fraction to every consideration item, tips too
+    const value = [...consideration, ...tips]
+      .filter(({ itemType }) => itemType === 0)
+      .map(getMaxAmount)
+      .reduce((a, b) => a.add(b), toBN(0))
+      .mul(numerator)
+      .div(denominator);
+
+    return this.fulfillOrder({
+      order: { ...order, numerator, denominator },
+      value,
+      tips,
+      criteriaResolvers,
+      fulfillerConduitKey,
+    });
+  };
+
+  /**
+   * Create an offer in wrapped native token for any token of a collection, or
+   * for the tokens of a subset (e.g. a trait) only.
+   * @param token Address of the ERC721 or ERC1155 collection
+   * @param itemType 2 (ERC721) || 3 (ERC1155)
+   * @param {string|number} price Amount of wrapped native token offered
+   * @param {string|number} quantity Amount of ERC1155 token wanted
+   * @param {(string|number)[]} [tokenIds] Only accept these tokenIds (e.g.
+   *                                       the tokens of a trait), any
+   *                                       token of the collection if omitted
+   * @param {Object[]} [fees] Fees as { recipient, basisPoints }, paid by the
+   *                          fulfiller out of the price
+   * @param orderOptions Other params of createOrder (startTime, endTime...)
+   * @returns The result of createOrder, with the criteriaTree to keep for
+   *          accepting the offer when tokenIds are given
+   */
+  createCollectionOffer = async ({
+    token,
+    itemType = 2,
+    price,
+    quantity = 1,
+    tokenIds,
+    fees = [],
+    ...orderOptions
+  }) => {
+    const offerer = await this.signer.getAddress();
+    const priceItem = this.getItem20(this.getWrappedTokenAddress(), price);
+    const criteriaTree = tokenIds ? buildCriteriaTree(tokenIds) : null;
+    // 0 means any token of the collection
+    const criteria = criteriaTree?.root ?? 0;
+
+    const wantedItem =
+      itemType === 2 || itemType === 4
+        ? this.getItem721WithCriteria(token, criteria, offerer)
+        : this.getItem1155WithCriteria(
+            token,
+            criteria,
+            quantity,
+            quantity,
+            offerer
+          );
+
+    const result = await this.createOrder({
+      ...orderOptions,
+      offer: [priceItem],
+      consideration: [wantedItem, ...getFeeItems(priceItem, fees)],
+    });
+
+    return { ...result, criteriaTree };
+  };
+
+  /**
+   * Accept a collection offer from createCollectionOffer with a given token
+   * @param order Order of the collection offer
+   * @param {string|number} tokenId TokenId to sell
+   * @param {string[]} [proof] criteriaProof of the tokenId, from
+   *                           getCriteriaProof with the criteriaTree of the
+   *                           offer. Not needed when the offer is for any
+   *                           token of the collection
+   * @param {Object} [options]
+   * @param {Object[]} [options.tips] Tips to add as consideration
+   * @param {string} [options.fulfillerConduitKey] Conduit key to fulfill with
+   * @returns An ethers contract transaction
+   */
+  acceptCollectionOffer = async (
+    order,
+    tokenId,
+    proof = [],
+    { tips, fulfillerConduitKey } = {}
+  ) => {
+    const index = order.parameters.consideration.findIndex(
+      ({ itemType }) => itemType === 4 || itemType === 5
+    );
+    if (index === -1) {
+      throw new Error("Not a collection offer, no criteria based item");
+    }
+
+    return this.fulfillOrder({
+      order,
+      tips,
+      fulfillerConduitKey,
+      criteriaResolvers: [this.buildResolver(0, 1, index, tokenId, proof)],
+    });
+  };
+
   /**
    * Cancel an arbitrary number of orders. Note that only the offerer
    * or the zone of a given order may cancel it. Once cancelled, the order no longer fillable.
    * Requires a signer
    * @param {object[]|object} orderComponents An array  of an arbitrary number of orderComponents || one orderComponent
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] Only simulate the cancellation, see
+   *                                   fulfillOrder
+   * @param [options.signer] Signer to cancel with, e.g. the zone operator
+   *                         cancelling on behalf of the offerers
    * @returns An ethers contract transaction
    */
-  cancelOrders = (orderComponents) => {
+  cancelOrders = async (
+    orderComponents,
+    { dryRun = false, signer = this.signer } = {}
+  ) => {
     const orderComponentsArr = Array.isArray(orderComponents)
       ? orderComponents
       : [orderComponents];
     orderComponentsArr.forEach(({ counter }) => {
-      if (!counter) {
+      if (counter === undefined) {
         throw new Error("Not order, Give me orderComponents");
       }
     });
-    return this.marketplaceContract.cancel(orderComponentsArr);
+    checkCanceller(orderComponentsArr, await signer.getAddress());
+    return sendSeaportTransaction(
+      this.marketplaceContract.connect(signer),
+      "cancel",
+      [orderComponentsArr],
+      {},
+      dryRun
+    );
+  };
+
+  /**
+   * Function to get the current counter of an offerer, which every order
+   * is signed with
+   * @param {string} [offerer] Address of the offerer, default the signer
+   * @returns counter
+   */
+  getCounter = async (offerer) =>
+    this.marketplaceContract.getCounter(
+      offerer ?? (await this.signer.getAddress())
+    );
+
+  /**
+   * Cancel all orders of the signer at once by incrementing its counter.
+   * Orders signed with the previous counter are no longer fillable, see
+   * resignOrders to keep some of them.
+   * Requires a signer
+   * @returns An ethers contract transaction
+   */
+  cancelAllOrders = () =>
+    withSeaportErrors(this.marketplaceContract.incrementCounter());
+
+  /**
+   * Checks whether an order was signed with a counter that is not the
+   * current counter of its offerer anymore (cancelled by cancelAllOrders)
+   * @param orderComponents orderComponents in question
+   * @returns {boolean} true if the order is stale
+   */
+  isOrderStaleByCounter = async (orderComponents) => {
+    if (orderComponents.counter === undefined) {
+      throw new Error("Not order, Give me orderComponents");
+    }
+    const counter = await this.getCounter(orderComponents.offerer);
+    return !toBN(orderComponents.counter).eq(counter);
+  };
+
+  /**
+   * Sign orders again under the current counter of the signer, e.g. the
+   * orders to keep after cancelAllOrders. Their order hashes change.
+   * @param {object[]|object} orders Orders || orderComponents of the signer
+   * @param [counter] Counter to sign with, read from the contract if omitted
+   * @returns {object[]} order, orderHash and orderComponents of each order
+   */
+  resignOrders = async (orders, counter) => {
+    const orderArr = Array.isArray(orders) ? orders : [orders];
+    const offerer = await this.signer.getAddress();
+    const newCounter = counter ?? (await this.getCounter(offerer));
+
+    return Promise.all(
+      orderArr.map(async (order) => {
+        const parameters = { ...(order.parameters ?? order) };
+        delete parameters.counter;
+        if (parameters.offerer.toLowerCase() !== offerer.toLowerCase()) {
+          throw new Error(`Only ${parameters.offerer} can sign this order`);
+        }
+
+        const orderComponents = { ...parameters, counter: newCounter };
+        const orderHash = deriveOrderHash(orderComponents);
+        const flatSig = await signOrder(
+          this.marketplaceContract,
+          this.chainId,
+          orderComponents,
+          this.signer
+        );
+        // Keep EIP-2098 signatures compact
+        const signature =
+          order.signature?.length === 130
+            ? convertSignatureToEIP2098(flatSig)
+            : flatSig;
+
+        return {
+          order: {
+            numerator: 1,
+            denominator: 1,
+            extraData: "0x",
+            ...(order.parameters ? order : {}),
+            parameters,
+            signature,
+          },
+          orderHash,
+          orderComponents,
+        };
+      })
+    );
   };
 
   /**
@@ -361,47 +1004,529 @@ class SDK {
    *         validate an order without supplying a signature.
    *
    * @param {object[]|object} orders The orders || one order to validate.
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] Only simulate the validation, see
+   *                                   fulfillOrder
    *
    * @return An ethers contract transaction
    */
-  validateOrders = async (orders) => {
+  validateOrders = async (orders, { dryRun = false } = {}) => {
     const orderArr = Array.isArray(orders) ? orders : [orders];
     orderArr.forEach(({ counter }) => {
       if (counter) throw new Error("Not orderComponents, give me order");
     });
-    return this.marketplaceContract.validate(orderArr);
+    return sendSeaportTransaction(
+      this.marketplaceContract,
+      "validate",
+      [orderArr],
+      {},
+      dryRun
+    );
   };
 
+  /**
+   * Function to compute the fulfillments matching an arbitrary number of
+   * orders, see matchOrders
+   * @param {Object[]} orders Orders to match
+   * @param {Object[]} [criteriaResolvers] criteriaResolvers of the orders
+   * @returns fulfillments The fulfillments allocating offer components to
+   *                       consideration components
+   * @returns unspentOfferItems The offer items left once every consideration
+   *                            is met, transferred to the caller
+   */
+  getMatchFulfillments = (orders, criteriaResolvers = []) =>
+    getMatchFulfillments(orders, criteriaResolvers);
+
   /**
    * @notice Match an arbitrary number of orders, each with an arbitrary
    *         number of items for offer and consideration along with a set of
    *         fulfillments allocating offer components to consideration
-   *         components. Note that this function does not support
-   *         criteria-based or partial filling of orders (though filling the
-   *         remainder of a partially-filled order is supported).
+   *         components. Fungible items are aggregated and the offer items
+   *         left unspent are transferred to the caller. Criteria-based or
+   *         partial orders go through matchAdvancedOrders.
    *
-   * @param order             The order to be match.
-   * @param orderToMatch      The order to match.
-   * @param gapAsset          The asset for price difference
+   * @param {Object[]} orders     The orders to match. The legacy form
+   *                              matchOrders(order, orderToMatch, gapAsset)
+   *                              is still supported, gapAsset being added to
+   *                              the consideration of (a copy of) order.
+   * @param {Object} [options]
+   * @param {Object[]} [options.criteriaResolvers] criteriaResolvers of the
+   *                                               orders
+   * @param {Object[]} [options.fulfillments] Fulfillments to use instead of
+   *                                          computing them
+   * @param {boolean} [options.dryRun] Only simulate the match, see
+   *                                   fulfillOrder. The result holds the
+   *                                   executions
    * @return An ethers contract transaction
    */
-  matchOrders = async (order, orderToMatch, gapAsset) => {
-    // 處理fulfillment
+  matchOrders = async (orders, options = {}, gapAsset) => {
+    if (!Array.isArray(orders)) {
+      const order = orders;
+      const orderToMatch = options;
+      // 這邊先假設只有英式拍賣會出現 gapAsset
+      return this.matchOrders([
+        gapAsset
+          ? {
+              ...order,
+              parameters: {
+                ...order.parameters,
+                consideration: [...order.parameters.consideration, gapAsset],
+              },
+            }
+          : order,
+        orderToMatch,
+      ]);
+    }
+    if (gapAsset) {
+      throw new Error(
+        "gapAsset is only supported by matchOrders(order, orderToMatch, gapAsset)"
+      );
+    }
 
-    const fArr = getFulFillmentArrByOrder(order, orderToMatch);
+    const { criteriaResolvers = [], dryRun = false } = options;
+    const fulfillments =
+      options.fulfillments ??
+      getMatchFulfillments(orders, criteriaResolvers).fulfillments;
 
-    // 這邊先假設只有英式拍賣會出現 gapAsset
-    if (gapAsset) {
-      fArr[1][1].push([0, 1]);
-      order.parameters.consideration.push(gapAsset);
+    const isAdvanced =
+      criteriaResolvers.length > 0 ||
+      orders.some(
+        ({ numerator, denominator }) =>
+          numerator && !toBN(numerator).eq(toBN(denominator))
+      ) ||
+      orders.some(({ extraData }) => (extraData ?? "0x") !== "0x");
+
+    if (isAdvanced) {
+      return sendSeaportTransaction(
+        this.marketplaceContract,
+        "matchAdvancedOrders",
+        [
+          orders.map((order) => ({
+            numerator: 1,
+            denominator: 1,
+            extraData: "0x",
+            ...order,
+          })),
+          criteriaResolvers,
+          fulfillments,
+        ],
+        {},
+        dryRun
+      );
     }
 
-    const fulfillment = getFulfillment(fArr);
+    return sendSeaportTransaction(
+      this.marketplaceContract,
+      "matchOrders",
+      [orders, fulfillments],
+      {},
+      dryRun
+    );
+  };
 
-    return this.marketplaceContract.matchOrders(
-      [order, orderToMatch],
-      fulfillment
+  /**
+   * Create an English auction: a listing of the item at its reserve price,
+   * restricted to the auctioneer (zone) who settles it against the highest
+   * bid once the auction ended.
+   * @param token Address of the ERC721 or ERC1155 auctioned
+   * @param {string|number} tokenId TokenId auctioned
+   * @param itemType 2 (ERC721) || 3 (ERC1155)
+   * @param {string|number} amount Amount of ERC1155 auctioned
+   * @param {string|number} reservePrice Lowest price in wrapped native token
+   * @param endTime Timestamp in "seconds" the bidding ends
+   * @param settlementWindow Seconds after endTime the auction can be settled
+   *                         in, default 1 day
+   * @param zone Address of the auctioneer
+   * @param {Object[]} [fees] Fees as { recipient, basisPoints }, taken on the
+   *                          final price
+   * @param minIncrementBasisPoints Minimum increment over the highest bid
+   * @param startTime Timestamp in "seconds" the bidding starts
+   * @returns The result of createOrder with the auction, to keep for bidding
+   *          and settling
+   */
+  createEnglishAuction = async ({
+    token,
+    tokenId,
+    itemType = 2,
+    amount = 1,
+    reservePrice,
+    endTime,
+    settlementWindow = 86400,
+    zone,
+    fees = [],
+    minIncrementBasisPoints = 500,
+    startTime = Math.floor(Date.now() / 1000),
+  }) => {
+    if (!zone || zone === constants.AddressZero) {
+      throw new Error("English auctions need an auctioneer as zone");
+    }
+
+    const seller = await this.signer.getAddress();
+    const paymentToken = this.getWrappedTokenAddress();
+    const reserveItem = this.getItem20(
+      paymentToken,
+      reservePrice,
+      reservePrice,
+      seller
     );
+
+    const result = await this.createOrder({
+      offer: [
+        itemType === 2
+          ? this.getItem721(token, tokenId)
+          : this.getItem1155(token, tokenId, amount),
+      ],
+      consideration: getConsiderationWithFees(reserveItem, fees),
+      orderType: 2, // FULL_RESTRICTED
+      zone,
+      startTime,
+      endTime: endTime + settlementWindow,
+    });
+
+    return {
+      ...result,
+      auction: {
+        order: result.order,
+        zone,
+        paymentToken,
+        reservePrice: reserveItem.endAmount,
+        endTime,
+        minIncrementBasisPoints,
+        fees,
+      },
+    };
+  };
+
+  /**
+   * Bid on an English auction with wrapped native token. Both amounts are
+   * in ether units (e.g. "1.5"), like the reservePrice of
+   * createEnglishAuction.
+   * @param auction Auction from createEnglishAuction
+   * @param {string|number} amount Amount of wrapped native token to bid
+   * @param {string|number} [highestBidAmount] Amount of the current highest
+   *                                           bid, checked with the minimum
+   *                                           increment
+   * @returns The result of createOrder
+   */
+  createBid = async (auction, amount, highestBidAmount) => {
+    const bidder = await this.signer.getAddress();
+    const [auctionedItem] = auction.order.parameters.offer;
+    const parameters = {
+      offerer: bidder,
+      offer: [this.getItem20(auction.paymentToken, amount)],
+      consideration: [{ ...auctionedItem, recipient: bidder }],
+      zone: auction.zone,
+      endTime: auction.order.parameters.endTime,
+    };
+
+    // Checked before signing, an invalid bid should not be signed at all
+    const { errors } = await this.validateBid(
+      auction,
+      { parameters },
+      highestBidAmount && parseTokenAmount(highestBidAmount)
+    );
+    if (errors.length > 0) {
+      throw new Error(errors.map(({ message }) => message).join(", "));
+    }
+
+    return this.createOrder({
+      offer: parameters.offer,
+      consideration: parameters.consideration,
+      orderType: 2, // FULL_RESTRICTED
+      zone: parameters.zone,
+      endTime: parameters.endTime,
+    });
+  };
+
+  /**
+   * Function to check a bid against an auction: payment token, reserve
+   * price and minimum increment, auctioned item, zone and end time
+   * @param auction Auction from createEnglishAuction
+   * @param bid Order of the bid
+   * @param [highestBidAmount] Amount of the current highest bid, in wei
+   * @param {number} [timestamp] Timestamp in "seconds", default latest block
+   * @returns isValid, errors as { code, message }
+   */
+  validateBid = async (auction, bid, highestBidAmount, timestamp) =>
+    validateBid(
+      auction,
+      bid,
+      highestBidAmount,
+      timestamp ?? (await this.provider.getBlock("latest")).timestamp
+    );
+
+  /**
+   * Function to get the lowest amount the next bid can be
+   * @param auction Auction from createEnglishAuction
+   * @param [highestBidAmount] Amount of the current highest bid, in wei
+   * @returns minimum bid amount, in wei
+   */
+  getMinimumBid = (auction, highestBidAmount) =>
+    getMinimumBid(auction, highestBidAmount);
+
+  /**
+   * Settle an ended English auction against its highest bid, the difference
+   * between the bid and the reserve price going to the seller minus fees.
+   * Requires the auctioneer (zone) as signer.
+   * @param auction Auction from createEnglishAuction
+   * @param bid Order of the highest bid
+   * @return An ethers contract transaction
+   */
+  settleAuction = async (auction, bid) => {
+    const { timestamp } = await this.provider.getBlock("latest");
+    if (toBN(timestamp).lt(toBN(auction.endTime))) {
+      throw new Error(`Auction can not be settled before ${auction.endTime}`);
+    }
+
+    // The bid was placed before the end, only its content is checked
+    const errors = validateBid(
+      auction,
+      bid,
+      undefined,
+      timestamp
+    ).errors.filter(({ code }) => code !== "AuctionEnded");
+    if (errors.length > 0) {
+      throw new Error(errors.map(({ message }) => message).join(", "));
+    }
+
+    const listing = auction.order;
+    return this.matchOrders([
+      {
+        ...listing,
+        parameters: {
+          ...listing.parameters,
+          consideration: [
+            ...listing.parameters.consideration,
+            ...getSettlementConsideration(auction, getBidAmount(auction, bid)),
+          ],
+        },
+      },
+      bid,
+    ]);
+  };
+
+  /**
+   * Create a Dutch auction: a listing whose price goes linearly from
+   * startPrice down to endPrice over duration
+   * @param token Address of the ERC721 or ERC1155 sold
+   * @param {string|number} tokenId TokenId sold
+   * @param itemType 2 (ERC721) || 3 (ERC1155)
+   * @param {string|number} amount Amount of ERC1155 sold
+   * @param {string|number} startPrice Price at startTime
+   * @param {string|number} endPrice Price at startTime + duration
+   * @param duration Seconds the price takes to go from startPrice to endPrice
+   * @param startTime Timestamp in "seconds"
+   * @param {string} [paymentToken] ERC20 token to be paid in, NATIVE token
+   *                                if omitted
+   * @param {number} [decimals] decimals of the paymentToken, default 18
+   * @param {Object[]} [fees] Fees as { recipient, basisPoints }, following
+   *                          the price
+   * @param orderOptions Other params of createOrder (zone, conduitKey...)
+   * @returns The result of createOrder
+   */
+  createDutchAuction = async ({
+    token,
+    tokenId,
+    itemType = 2,
+    amount = 1,
+    startPrice,
+    endPrice,
+    duration,
+    startTime = Math.floor(Date.now() / 1000),
+    paymentToken,
+    decimals,
+    fees = [],
+    ...orderOptions
+  }) => {
+    const seller = await this.signer.getAddress();
+    const priceItem = paymentToken
+      ? this.getItem20(paymentToken, startPrice, endPrice, seller, decimals)
+      : this.getItemETH(startPrice, endPrice, seller);
+
+    return this.createOrder({
+      ...orderOptions,
+      offer: [
+        itemType === 2
+          ? this.getItem721(token, tokenId)
+          : this.getItem1155(token, tokenId, amount),
+      ],
+      consideration: getConsiderationWithFees(priceItem, fees),
+      startTime,
+      endTime: startTime + duration,
+    });
+  };
+
+  /**
+   * Function to get the price of an order at a given time, rounded the way
+   * Seaport does (up for consideration, down for offer)
+   * @param order Order in question
+   * @param {number} [atTimestamp] Timestamp in "seconds", default latest
+   *                               block
+   * @returns The NATIVE or ERC20 consideration for listings, else the NATIVE
+   *          or ERC20 offer
+   */
+  getCurrentPrice = async (order, atTimestamp) =>
+    getCurrentPrice(
+      order,
+      atTimestamp ?? (await this.provider.getBlock("latest")).timestamp
+    );
+
+  /**
+   * Computes the order hash for the given orderComponents locally (EIP-712),
+   * without an RPC round-trip.
+   * @param orderComponents The orderComponents in question.
+   * @param {boolean} [crossCheck] Also call getOrderHash on the contract and
+   *                               throw if the results differ.
+   *
+   * @return The order hash.
+   */
+  getOrderHash = async (orderComponents, crossCheck = false) => {
+    if (orderComponents.counter === undefined) {
+      throw new Error("Not order, Give me orderComponents");
+    }
+    return getOrderHash(this.marketplaceContract, orderComponents, crossCheck);
+  };
+
+  /**
+   * Verifies the signature of an order locally by rebuilding the EIP-712
+   * digest from the domain separator and the order hash, then recovering
+   * the signer. Both 65-byte and EIP-2098 compact signatures are accepted.
+   * @notice When the offerer is a contract, Seaport validates the signature
+   *         through ERC-1271 instead, so isValid is always false and
+   *         isContract is reported for the caller to handle.
+   * @param order Order to verify
+   * @param {string|number} [counter] Counter the order was signed with,
+   *                                  read from the contract if omitted
+   *
+   * @return orderHash  The order hash that was signed.
+   * @return signer     The recovered signer, null if the signature is malformed.
+   * @return isValid    A boolean indicating whether the signer is the offerer.
+   * @return isContract A boolean indicating whether the offerer is a contract.
+   */
+  verifyOrderSignature = async (order, counter) => {
+    if (order.counter) {
+      throw new Error("Not orderComponents, give me order");
+    }
+
+    const { offerer } = order.parameters;
+    const orderHash = deriveOrderHash({
+      ...order.parameters,
+      counter: counter ?? (await this.marketplaceContract.getCounter(offerer)),
+    });
+    const domainSeparator = deriveDomainSeparator(
+      this.chainId,
+      this.marketplaceContract.address
+    );
+
+    let signer = null;
+    try {
+      signer = recoverOrderSigner(domainSeparator, orderHash, order.signature);
+    } catch (e) {
+      // malformed signature, leave signer as null
+    }
+
+    const isContract = (await this.provider.getCode(offerer)) !== "0x";
+
+    return {
+      orderHash,
+      signer,
+      isValid:
+        !isContract &&
+        signer !== null &&
+        signer.toLowerCase() === offerer.toLowerCase(),
+      isContract,
+    };
+  };
+
+  /**
+   * Statically checks whether an order can be fulfilled by a given fulfiller,
+   * reporting every problem that would make the fulfillment revert.
+   * @param order Order to fulfill
+   * @param fulfiller Address of the fulfiller
+   * @param {object} [options]
+   * @param {number} [options.timestamp] Timestamp in "seconds" to check the
+   *                                     order against, default latest block
+   * @param {object[]} [options.criteriaResolvers] criteriaResolvers that will
+   *                                               be given on fulfillment
+   * @param {string|number} [options.counter] Counter the order was signed
+   *                                          with, read from the contract if
+   *                                          omitted
+   * @param {string} [options.fulfillerConduitKey] Conduit key the fulfiller
+   *                                               will fulfill with
+   *
+   * @return isValid A boolean indicating whether no problem was found.
+   * @return errors  The problems found, each with a code named after the
+   *                 Seaport error it would revert with, a message and the
+   *                 side (0: offer, 1: consideration) and index of the item
+   *                 in question when applicable.
+   */
+  validateOrderForFulfillment = async (
+    order,
+    fulfiller,
+    {
+      timestamp,
+      criteriaResolvers = [],
+      counter,
+      fulfillerConduitKey = constants.HashZero,
+    } = {}
+  ) => {
+    if (order.counter) {
+      throw new Error("Not orderComponents, give me order");
+    }
+
+    const { offerer, offer, consideration, orderType } = order.parameters;
+    const blockTimestamp =
+      timestamp ?? (await this.provider.getBlock("latest")).timestamp;
+    const isPaidByOfferer =
+      criteriaResolvers.length === 0 && isPaidByOffererBasicOrder(order);
+    const [offererOperator, fulfillerOperator] = await Promise.all([
+      this.getConduitAddress(order.parameters.conduitKey),
+      this.getConduitAddress(fulfillerConduitKey),
+    ]);
+
+    const [signatureCheck, ...problems] = await Promise.all([
+      this.verifyOrderSignature(order, counter),
+      checkBalancesAndApprovals(
+        offerer,
+        offererOperator,
+        // native offer items are already reported as InvalidNativeOfferItem
+        resolveItems(offer, 0, criteriaResolvers).filter(
+          ({ itemType }) => itemType !== 0
+        ),
+        this.provider
+      ),
+      checkBalancesAndApprovals(
+        fulfiller,
+        fulfillerOperator,
+        resolveItems(consideration, 1, criteriaResolvers).filter(
+          ({ index }) => !isPaidByOfferer || index === 0
+        ),
+        this.provider,
+        // Seaport transfers the offer items to the fulfiller first
+        offer
+      ),
+    ]);
+    const { orderHash, isValid: isValidSignature, isContract } = signatureCheck;
+
+    const orderStatus = await this.marketplaceContract.getOrderStatus(
+      orderHash
+    );
+
+    const errors = [
+      ...checkOrderParameters(order, blockTimestamp, criteriaResolvers),
+      ...checkOrderStatus(orderHash, orderStatus, orderType),
+      ...problems.flat(),
+    ];
+
+    // Validated orders skip signature verification
+    if (!orderStatus.isValidated && !isContract && !isValidSignature) {
+      errors.push({
+        code: "InvalidSigner",
+        message: `Signature of order ${orderHash} is not from ${offerer}`,
+      });
+    }
+
+    return { isValid: errors.length === 0, errors };
   };
 
   /**
@@ -422,15 +1547,111 @@ class SDK {
     return await this.marketplaceContract.getOrderStatus(orderHash);
   };
 
+  /**
+   * Checks whether a caller can execute an order. Anyone can execute an open
+   * order, a restricted order only the offerer, the zone, or the callers
+   * the zone validates the order for.
+   * @param order Order in question
+   * @param {string} [caller] Address executing the order, default the signer
+   * @param {Object} [options]
+   * @param {Object[]} [options.criteriaResolvers] Resolvers the order is
+   *                                               fulfilled with
+   * @returns {boolean} true if the caller can execute the order
+   */
+  canExecuteOrder = async (order, caller, options) => {
+    const { offerer } = order.parameters;
+    const orderHash = deriveOrderHash({
+      ...order.parameters,
+      counter: await this.marketplaceContract.getCounter(offerer),
+    });
+    return canExecuteOrder(
+      order,
+      orderHash,
+      caller ?? (await this.signer.getAddress()),
+      this.provider,
+      options
+    );
+  };
+
+  /**
+   * Get the OrderFulfilled, OrderCancelled, OrderValidated and
+   * CounterIncremented events of Seaport over a block range
+   * @param options eventNames, fromBlock, toBlock, pageSize, offerer, zone
+   * @returns {object[]} decoded events, oldest first
+   */
+  getEvents = (options) =>
+    getSeaportEvents(this.provider, this.marketplaceContract.address, options);
+
+  /**
+   * Subscribe to the Seaport events of new blocks, given once they have
+   * `confirmations` blocks on top of them
+   * @param options Options of getEvents, confirmations, onError
+   * @param callback Called with each decoded event
+   * @returns {function} to unsubscribe
+   */
+  subscribeToEvents = (options, callback) =>
+    subscribeToSeaportEvents(
+      this.provider,
+      this.marketplaceContract.address,
+      options,
+      callback
+    );
+
   /**
    * Function to get wrapped token address from specific network
    * @param {string|number} [chainId]
    * @returns {string} wrapped token address
    */
   getWrappedTokenAddress = (chainId) => {
-    return getWrappedNativeToken(chainId ?? this.chainId);
+    if (!chainId || normalizeChainId(chainId) === this.chainId) {
+      return this.deployment.wrappedNativeToken;
+    }
+    return getWrappedNativeToken(chainId);
   };
 
+  /**
+   * Function to wrap native token (e.g. ETH into WETH), to cover offers
+   * Requires a signer
+   * @param {string|number} amount Amount to wrap, see amountToWrap of
+   *                               createOrder
+   * @param txOverrides Overrides of the transaction
+   * @returns An ethers contract transaction
+   */
+  wrapNative = (amount, txOverrides) =>
+    depositNative(
+      this.getWrappedTokenAddress(),
+      amount,
+      this.signer,
+      txOverrides
+    );
+
+  /**
+   * Function to unwrap wrapped native token (e.g. WETH into ETH)
+   * Requires a signer
+   * @param {string|number} amount Amount to unwrap
+   * @param txOverrides Overrides of the transaction
+   * @returns An ethers contract transaction
+   */
+  unwrapNative = (amount, txOverrides) =>
+    withdrawNative(
+      this.getWrappedTokenAddress(),
+      amount,
+      this.signer,
+      txOverrides
+    );
+
+  /**
+   * Function to get the wrapped native token balance of an address
+   * @param {string} [owner] Address in question, default the signer
+   * @returns balance
+   */
+  getWrappedBalance = async (owner) =>
+    getWrappedBalance(
+      this.getWrappedTokenAddress(),
+      owner ?? (await this.signer.getAddress()),
+      this.provider
+    );
+
   /**
    * Function to get all formatted token
    * @param {Object} asset The token asset
@@ -441,6 +1662,7 @@ class SDK {
    * @param {string|number} [asset.tokenId] TokenId of asset
    * @param {string} [asset.recipient] recipient of asset
    * @param {string} [asset.root] root of asset
+   * @param {number} [asset.decimals] decimals of ERC20 asset, default 18
    *
    * @returns formatted NATIVE token
    */
@@ -452,12 +1674,19 @@ class SDK {
     tokenId,
     recipient,
     root,
+    decimals,
   }) => {
     switch (itemType) {
       case 0: // NATIVE
         return this.getItemETH(startAmount, endAmount, recipient);
       case 1: // ERC20
-        return this.getItem20(token, startAmount, endAmount, recipient);
+        return this.getItem20(
+          token,
+          startAmount,
+          endAmount,
+          recipient,
+          decimals
+        );
       case 2: // ERC721
         return this.getItem721(token, tokenId, recipient);
       case 3: // ERC1155
@@ -501,25 +1730,80 @@ class SDK {
   /**
    * Function to get formatted ERC20 token
    * @notice  Some ERC20 token like USDC has only 6 decimal places (10^6),
-   *          thus 1 usdc should input amount with (1 / 10^12).
-   *          This should be handled pretty carefully.
+   *          pass its decimals or use loadItem20 to look them up.
    *
    * @param token Token address
    * @param {string|number} startAmount Amount when start selling
    * @param {string|number} endAmount Amount when end selling
    * @param recipient Address who recieve the amount of ERC20 token
+   * @param {number} [decimals] decimals of the token, default 18
    * @returns formatted ERC20 token
    */
-  getItem20 = (token, startAmount, endAmount = startAmount, recipient) =>
+  getItem20 = (
+    token,
+    startAmount,
+    endAmount = startAmount,
+    recipient,
+    decimals = 18
+  ) =>
     getOfferOrConsiderationItem(
       1,
       token,
       0,
-      parseEther(String(startAmount)),
-      parseEther(String(endAmount)),
+      parseTokenAmount(startAmount, decimals),
+      parseTokenAmount(endAmount, decimals),
       recipient
     );
 
+  /**
+   * Function to get formatted ERC20 token, looking up the decimals of the
+   * token (cached) unless given
+   * @param token Token address
+   * @param {string|number} startAmount Amount when start selling
+   * @param {string|number} endAmount Amount when end selling
+   * @param recipient Address who recieve the amount of ERC20 token
+   * @param {number} [decimals] decimals of the token
+   * @returns formatted ERC20 token
+   */
+  loadItem20 = async (
+    token,
+    startAmount,
+    endAmount = startAmount,
+    recipient,
+    decimals
+  ) =>
+    this.getItem20(
+      token,
+      startAmount,
+      endAmount,
+      recipient,
+      decimals ?? (await this.getTokenDecimals(token))
+    );
+
+  /**
+   * Function to get the decimals of an ERC20 token, cached in memory
+   * @param token Token address
+   * @returns {number} decimals
+   */
+  getTokenDecimals = (token) =>
+    getTokenDecimals(token, this.provider, this.chainId);
+
+  /**
+   * Function to format an amount of NATIVE or ERC20 token for display
+   * @param {string} token Token address, AddressZero for NATIVE token
+   * @param amount Amount in the smallest unit of the token
+   * @param {number} [decimals] decimals of the token, looked up if omitted
+   * @returns {string} human readable amount, e.g. "1.5"
+   */
+  formatTokenAmount = async (token, amount, decimals) =>
+    formatTokenAmount(
+      amount,
+      decimals ??
+        (token === constants.AddressZero
+          ? 18
+          : await this.getTokenDecimals(token))
+    );
+
   /**
    * Function to get formatted ERC721 token
    * @param token Token address
@@ -604,6 +1888,56 @@ class SDK {
       recipient
     );
 
+  /**
+   * Function to split a sale price between the seller and fee recipients
+   * (creator royalties, platform fees), the fees being deducted from the
+   * seller's proceeds
+   * @param saleItem Formatted NATIVE or ERC20 item of the full price, with
+   *                 the seller as recipient
+   * @param {Object[]} fees Fees as { recipient, basisPoints }
+   * @returns formatted consideration items, the seller's first
+   */
+  getConsiderationWithFees = (saleItem, fees = []) =>
+    getConsiderationWithFees(saleItem, fees);
+
+  /**
+   * Function to get the fee items on a price without deducting them, e.g.
+   * when the price is offered (bids)
+   * @param priceItem Formatted NATIVE or ERC20 item of the full price
+   * @param {Object[]} fees Fees as { recipient, basisPoints }
+   * @returns formatted fee items
+   */
+  getFeeItems = (priceItem, fees = []) => getFeeItems(priceItem, fees);
+
+  /**
+   * Function to get the ERC-2981 royalty of a token
+   * @param token Token address
+   * @param {string|number} tokenId TokenId
+   * @param salePrice Price the token is sold for
+   * @returns royalty as { recipient, amount }, null if the collection does
+   *          not support ERC-2981
+   */
+  getRoyaltyInfo = (token, tokenId, salePrice) =>
+    getRoyaltyInfo(token, tokenId, salePrice, this.provider);
+
+  /**
+   * Function to build the merkle tree of a criteria based item from the
+   * tokenIds matching the criteria
+   * @param {(string|number)[]} tokenIds TokenIds matching the criteria
+   * @returns tree as { root, tokenIds, layers }, root being the
+   *          identifierOrCriteria to give to getItem721WithCriteria or
+   *          getItem1155WithCriteria
+   */
+  buildCriteriaTree = (tokenIds) => buildCriteriaTree(tokenIds);
+
+  /**
+   * Function to get the criteriaProof of a tokenId
+   * @param tree Tree from buildCriteriaTree
+   * @param {string|number} tokenId TokenId to prove
+   * @returns {string[]} criteriaProof to give to buildResolver
+   */
+  getCriteriaProof = (tree, tokenId) => getCriteriaProof(tree, tokenId);
+
   buildResolver = (
     orderIndex,
     side, // 0 | 1
@@ -620,3 +1954,22 @@ class SDK {
 }
 
 export default SDK;
+export { SeaportError, SeaportErrors } from "./utils/errors";
+export { registerDeployment, getDeployment } from "./utils/registry";
+export {
+  verifyCriteriaProof,
+  serializeCriteriaTree,
+  deserializeCriteriaTree,
+} from "./utils/criteria";
+export {
+  serializeOrder,
+  deserializeOrder,
+  serializeOrderComponents,
+  deserializeOrderComponents,
+} from "./utils/serialization";
+export { SEAPORT_EVENTS, decodeSeaportLog } from "./utils/events";
+export {
+  getZoneHash,
+  getTypedZoneHash,
+  isRestrictedOrder,
+} from "./utils/zones";
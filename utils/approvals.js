@@ -0,0 +1,47 @@
+import { constants } from "ethers";
+
+/**
+ * Function to collect the items a wallet transfers when taking part in orders,
+ * the tokens it has to approve
+ * @param {Object[]} orders Orders || orderComponents
+ * @param {string} wallet Address of the wallet
+ * @param {string} role "offerer": the offer items of the orders of the wallet,
+ *                      transferred through the conduit of each order
+ *                      "fulfiller": the consideration items of every order,
+ *                      transferred through fulfillerConduitKey
+ * @param {string} [fulfillerConduitKey] Conduit key the fulfiller uses
+ * @returns {Object[]} { itemType, token, conduitKey } of every ERC20, ERC721
+ *                     and ERC1155 item, in the order of the orders
+ */
+export const getApprovalItems = (
+  orders,
+  wallet,
+  role,
+  fulfillerConduitKey = constants.HashZero
+) => {
+  if (role !== "offerer" && role !== "fulfiller") {
+    throw new Error(`Unknown role ${role}, expected offerer or fulfiller`);
+  }
+
+  return orders
+    .flatMap((order) => {
+      const { offerer, offer, consideration, conduitKey } =
+        order.parameters ?? order;
+      if (role === "fulfiller") {
+        return consideration.map(({ itemType, token }) => ({
+          itemType,
+          token,
+          conduitKey: fulfillerConduitKey,
+        }));
+      }
+      if (offerer.toLowerCase() !== wallet.toLowerCase()) {
+        return [];
+      }
+      return offer.map(({ itemType, token }) => ({
+        itemType,
+        token,
+        conduitKey,
+      }));
+    })
+    .filter(({ itemType }) => itemType !== 0);
+};
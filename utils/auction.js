@@ -0,0 +1,131 @@
+import { getConsiderationWithFees } from "./fees";
+import { getOfferOrConsiderationItem, toBN } from "./pure";
+
+const toProblem = (code, message) => ({ code, message });
+
+/**
+ * Function to get the lowest amount the next bid can be
+ * @param auction Auction from createEnglishAuction
+ * @param [highestBidAmount] Amount of the current highest bid, if any
+ * @returns minimum bid amount
+ */
+export const getMinimumBid = (auction, highestBidAmount) => {
+  if (!highestBidAmount || toBN(highestBidAmount).isZero()) {
+    return toBN(auction.reservePrice);
+  }
+  const highest = toBN(highestBidAmount);
+  // Round the increment up, a bid always has to outbid the highest one
+  const increment = highest
+    .mul(auction.minIncrementBasisPoints)
+    .add(9999)
+    .div(10000);
+  return highest.add(increment.isZero() ? 1 : increment);
+};
+
+// Amount of payment token offered by a bid
+export const getBidAmount = (auction, bid) =>
+  bid.parameters.offer
+    .filter(
+      ({ itemType, token }) =>
+        itemType === 1 &&
+        token.toLowerCase() === auction.paymentToken.toLowerCase()
+    )
+    .reduce((a, b) => a.add(toBN(b.endAmount)), toBN(0));
+
+/**
+ * Function to check a bid against an auction
+ * @param auction Auction from createEnglishAuction
+ * @param bid Order of the bid
+ * @param [highestBidAmount] Amount of the current highest bid, if any
+ * @param {number} timestamp Timestamp in "seconds" the bid is made at
+ * @returns isValid, errors as { code, message }
+ */
+export const validateBid = (auction, bid, highestBidAmount, timestamp) => {
+  const errors = [];
+  const { offer, consideration, zone, endTime } = bid.parameters;
+  const [auctionedItem] = auction.order.parameters.offer;
+
+  if (toBN(timestamp).gte(toBN(auction.endTime))) {
+    errors.push(
+      toProblem("AuctionEnded", `Auction ended at ${auction.endTime}`)
+    );
+  }
+
+  if (
+    offer.length !== 1 ||
+    offer[0].itemType !== 1 ||
+    offer[0].token.toLowerCase() !== auction.paymentToken.toLowerCase()
+  ) {
+    errors.push(
+      toProblem(
+        "InvalidPaymentToken",
+        `Bids must offer ${auction.paymentToken} only`
+      )
+    );
+  }
+
+  const minimumBid = getMinimumBid(auction, highestBidAmount);
+  const bidAmount = getBidAmount(auction, bid);
+  if (bidAmount.lt(minimumBid)) {
+    errors.push(
+      toProblem("BidTooLow", `Bid of ${bidAmount} is below ${minimumBid}`)
+    );
+  }
+
+  const wantsAuctionedItem = consideration.some(
+    ({ itemType, token, identifierOrCriteria, recipient }) =>
+      itemType === auctionedItem.itemType &&
+      token.toLowerCase() === auctionedItem.token.toLowerCase() &&
+      toBN(identifierOrCriteria).eq(toBN(auctionedItem.identifierOrCriteria)) &&
+      recipient?.toLowerCase() === bid.parameters.offerer.toLowerCase()
+  );
+  if (!wantsAuctionedItem) {
+    errors.push(
+      toProblem(
+        "InvalidBidItem",
+        "Bid does not ask for the auctioned item to the bidder"
+      )
+    );
+  }
+
+  if (zone.toLowerCase() !== auction.zone.toLowerCase()) {
+    errors.push(
+      toProblem("InvalidZone", `Bids must be restricted to ${auction.zone}`)
+    );
+  }
+
+  if (toBN(endTime).lte(toBN(auction.endTime))) {
+    errors.push(
+      toProblem("InvalidTime", "Bid expires before the auction can be settled")
+    );
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Function to get the consideration items to add to the listing when
+ * settling, routing the difference between the bid and the reserve price to
+ * the seller and the fee recipients
+ * @param auction Auction from createEnglishAuction
+ * @param bidAmount Amount of the winning bid
+ * @returns {Object[]} consideration items
+ */
+export const getSettlementConsideration = (auction, bidAmount) => {
+  const difference = toBN(bidAmount).sub(toBN(auction.reservePrice));
+  if (difference.lte(0)) {
+    return [];
+  }
+
+  return getConsiderationWithFees(
+    getOfferOrConsiderationItem(
+      1,
+      auction.paymentToken,
+      0,
+      difference,
+      difference,
+      auction.order.parameters.offerer
+    ),
+    auction.fees
+  ).filter(({ endAmount }) => !endAmount.isZero());
+};
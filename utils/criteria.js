@@ -0,0 +1,111 @@
+import { BigNumber, utils } from "ethers";
+import { toBN } from "./pure";
+
+// Seaport hashes the identifier to get the leaf, then hashes each pair of
+// nodes in ascending order, so proofs do not need to carry a direction.
+const hashLeaf = (tokenId) =>
+  utils.keccak256(utils.hexZeroPad(toBN(tokenId).toHexString(), 32));
+
+const hashPair = (a, b) =>
+  BigNumber.from(a).lte(BigNumber.from(b))
+    ? utils.keccak256(utils.concat([a, b]))
+    : utils.keccak256(utils.concat([b, a]));
+
+// A node without sibling is carried up to the next layer as is
+const getNextLayer = (layer) => {
+  const nextLayer = [];
+  for (let i = 0; i < layer.length; i += 2) {
+    nextLayer.push(
+      i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]
+    );
+  }
+  return nextLayer;
+};
+
+/**
+ * Function to build the merkle tree of a criteria based item
+ * @param {(string|number)[]} tokenIds TokenIds matching the criteria
+ * @returns {Object} tree as { root, tokenIds, layers }, root being the
+ *                   identifierOrCriteria of the item
+ */
+export const buildCriteriaTree = (tokenIds) => {
+  if (tokenIds.length === 0) {
+    throw new Error("Criteria need at least one tokenId");
+  }
+
+  const uniqueTokenIds = [
+    ...new Set(tokenIds.map((tokenId) => toBN(tokenId).toString())),
+  ].sort((a, b) => (BigNumber.from(a).lt(b) ? -1 : 1));
+
+  const layers = [uniqueTokenIds.map(hashLeaf)];
+  while (layers[layers.length - 1].length > 1) {
+    layers.push(getNextLayer(layers[layers.length - 1]));
+  }
+
+  return {
+    root: layers[layers.length - 1][0],
+    tokenIds: uniqueTokenIds,
+    layers,
+  };
+};
+
+/**
+ * Function to get the criteriaProof of a tokenId, to give to buildResolver
+ * @param {Object} tree Tree from buildCriteriaTree
+ * @param {string|number} tokenId TokenId to prove
+ * @returns {string[]} criteriaProof
+ */
+export const getCriteriaProof = (tree, tokenId) => {
+  const tokenIdString = toBN(tokenId).toString();
+  let index = tree.tokenIds.indexOf(tokenIdString);
+  if (index === -1) {
+    throw new Error(`TokenId ${tokenIdString} is not part of the criteria`);
+  }
+
+  const proof = [];
+  for (const layer of tree.layers.slice(0, -1)) {
+    const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+    if (siblingIndex < layer.length) {
+      proof.push(layer[siblingIndex]);
+    }
+    index = Math.floor(index / 2);
+  }
+  return proof;
+};
+
+/**
+ * Function to check a criteriaProof the way Seaport does
+ * @param root identifierOrCriteria of the item
+ * @param {string|number} tokenId TokenId to check
+ * @param {string[]} criteriaProof Proof from getCriteriaProof
+ * @returns {boolean} true if the tokenId is part of the criteria
+ */
+export const verifyCriteriaProof = (root, tokenId, criteriaProof) =>
+  toBN(
+    criteriaProof.reduce(
+      (computedHash, proofElement) => hashPair(computedHash, proofElement),
+      hashLeaf(tokenId)
+    )
+  ).eq(toBN(root));
+
+/**
+ * Function to serialize a tree, e.g. to store it with a collection offer
+ * @param {Object} tree Tree from buildCriteriaTree
+ * @returns {string} JSON
+ */
+export const serializeCriteriaTree = ({ root, tokenIds }) =>
+  JSON.stringify({ root, tokenIds });
+
+/**
+ * Function to restore a tree from serializeCriteriaTree
+ * @param {string} json JSON from serializeCriteriaTree
+ * @returns {Object} tree as { root, tokenIds, layers }
+ */
+export const deserializeCriteriaTree = (json) => {
+  const { root, tokenIds } = JSON.parse(json);
+  const tree = buildCriteriaTree(tokenIds);
+  if (!toBN(tree.root).eq(toBN(root))) {
+    throw new Error(`Criteria tree does not match its root ${root}`);
+  }
+  return tree;
+};
@@ -0,0 +1,164 @@
+import { BigNumber } from "ethers";
+import { Seaport__factory } from "../contracts/factories";
+
+const seaportInterface = Seaport__factory.createInterface();
+
+/**
+ * Base class of every error decoded from a Seaport revert
+ * @param {string} errorName Name of the error in the Seaport ABI
+ * @param {object} args Decoded arguments, keyed by their name in the ABI
+ * @param {string} data Raw revert data
+ * @param {Error} [cause] Original error thrown by ethers
+ */
+export class SeaportError extends Error {
+  constructor(errorName, args, data, cause) {
+    const formattedArgs = Object.entries(args)
+      .map(
+        ([key, value]) =>
+          `${key}: ${
+            BigNumber.isBigNumber(value) ? value.toString() : String(value)
+          }`
+      )
+      .join(", ");
+    super(`Seaport reverted with ${errorName}(${formattedArgs})`);
+    this.name = errorName;
+    this.errorName = errorName;
+    this.args = args;
+    this.data = data;
+    this.cause = cause;
+  }
+}
+
+// One class per error of the Seaport ABI, e.g. `err instanceof
+// SeaportErrors.OrderAlreadyFilled`
+export const SeaportErrors = Object.fromEntries(
+  Object.values(seaportInterface.errors).map(({ name }) => [
+    name,
+    // computed key so that the class is named after the error
+    {
+      [name]: class extends SeaportError {
+        constructor(args, data, cause) {
+          super(name, args, data, cause);
+        }
+      },
+    }[name],
+  ])
+);
+
+const isRevertData = (data) =>
+  typeof data === "string" && /^0x[0-9a-fA-F]{8}/.test(data);
+
+/**
+ * Finds the revert data in the (possibly nested) error thrown by ethers
+ * @param error Error thrown by a contract call
+ * @returns {string|null} revert data
+ */
+export const getRevertData = (error) => {
+  let current = error;
+  // ethers and the providers wrap the JSON-RPC error a few levels deep
+  for (let depth = 0; current && depth < 5; ++depth) {
+    if (isRevertData(current.data)) return current.data;
+    if (isRevertData(current.data?.data)) return current.data.data;
+    if (typeof current.body === "string") {
+      try {
+        const data = JSON.parse(current.body).error?.data;
+        if (isRevertData(data)) return data;
+      } catch (e) {
+        // body is not JSON
+      }
+    }
+    current = current.error;
+  }
+  return null;
+};
+
+/**
+ * Decodes revert data against the error fragments of the Seaport ABI
+ * @param {string} data Revert data
+ * @param {Error} [cause] Original error thrown by ethers
+ * @returns {SeaportError|null} the decoded error, null if unknown
+ */
+export const decodeSeaportError = (data, cause) => {
+  if (!isRevertData(data)) return null;
+
+  let description;
+  try {
+    description = seaportInterface.parseError(data);
+  } catch (e) {
+    return null;
+  }
+
+  const { name, errorFragment } = description;
+  const args = Object.fromEntries(
+    errorFragment.inputs.map(({ name: argName }, i) => [
+      argName,
+      description.args[i],
+    ])
+  );
+  return new SeaportErrors[name](args, data, cause);
+};
+
+/**
+ * Awaits a call to Seaport, rethrowing a decoded SeaportError when it reverts
+ * with one of the Seaport custom errors
+ * @param {Promise} promise Contract call or transaction
+ * @returns The result of the call
+ */
+export const withSeaportErrors = async (promise) => {
+  try {
+    return await promise;
+  } catch (error) {
+    throw decodeSeaportError(getRevertData(error), error) ?? error;
+  }
+};
+
+/**
+ * Simulates a call to Seaport with callStatic and estimates its gas, without
+ * sending a transaction
+ * @param contract Seaport contract from ethers
+ * @param {string} method Name of the Seaport function
+ * @param {Array} args Arguments of the function
+ * @param {Object} [overrides] Overrides of the transaction (value...)
+ * @returns {Object} { success, error, result, gasEstimate }, error being the
+ *                   decoded SeaportError if any, result the return value
+ *                   (fulfilled, executions...)
+ */
+export const simulateSeaportCall = async (
+  contract,
+  method,
+  args,
+  overrides = {}
+) => {
+  try {
+    const result = await contract.callStatic[method](...args, overrides);
+    const gasEstimate = await contract.estimateGas[method](...args, overrides);
+    return { success: true, error: null, result, gasEstimate };
+  } catch (error) {
+    return {
+      success: false,
+      error: decodeSeaportError(getRevertData(error), error) ?? error,
+      result: null,
+      gasEstimate: null,
+    };
+  }
+};
+
+/**
+ * Sends a transaction to Seaport, or only simulates it on a dry run
+ * @param contract Seaport contract from ethers
+ * @param {string} method Name of the Seaport function
+ * @param {Array} args Arguments of the function
+ * @param {Object} [overrides] Overrides of the transaction (value...)
+ * @param {boolean} [dryRun] Simulate instead, see simulateSeaportCall
+ * @returns An ethers contract transaction, or the simulation on a dry run
+ */
+export const sendSeaportTransaction = (
+  contract,
+  method,
+  args,
+  overrides = {},
+  dryRun = false
+) =>
+  dryRun
+    ? simulateSeaportCall(contract, method, args, overrides)
+    : withSeaportErrors(contract[method](...args, overrides));
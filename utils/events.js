@@ -0,0 +1,199 @@
+import { utils } from "ethers";
+import { Seaport__factory } from "../contracts/factories";
+
+const seaportInterface = Seaport__factory.createInterface();
+
+export const SEAPORT_EVENTS = [
+  "OrderFulfilled",
+  "OrderCancelled",
+  "OrderValidated",
+  "CounterIncremented",
+];
+
+const toAddressTopic = (address) =>
+  address ? utils.hexZeroPad(address.toLowerCase(), 32) : null;
+
+// Every event is indexed by offerer first, and all but CounterIncremented
+// by zone second
+const getTopics = (eventNames, offerer, zone) => {
+  eventNames.forEach((name) => {
+    if (!SEAPORT_EVENTS.includes(name)) {
+      throw new Error(`Unknown Seaport event ${name}`);
+    }
+  });
+  const topics = [
+    eventNames.map((name) => seaportInterface.getEventTopic(name)),
+    toAddressTopic(offerer),
+    toAddressTopic(zone),
+  ];
+  while (topics[topics.length - 1] === null) topics.pop();
+  return topics;
+};
+
+const decodeSpentItem = ({ itemType, token, identifier, amount }) => ({
+  itemType,
+  token,
+  identifier,
+  amount,
+});
+
+const decodeReceivedItem = (item) => ({
+  ...decodeSpentItem(item),
+  recipient: item.recipient,
+});
+
+/**
+ * Function to decode a log emitted by Seaport
+ * @param log Log from provider.getLogs
+ * @returns {Object} { event, blockNumber, blockHash, transactionHash,
+ *                   logIndex } and the arguments of the event, offer and
+ *                   consideration of OrderFulfilled being the spent and
+ *                   received items
+ */
+export const decodeSeaportLog = (log) => {
+  const { name, args } = seaportInterface.parseLog(log);
+  const event = {
+    event: name,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: log.logIndex,
+    offerer: args.offerer,
+  };
+
+  switch (name) {
+    case "OrderFulfilled":
+      return {
+        ...event,
+        orderHash: args.orderHash,
+        zone: args.zone,
+        recipient: args.recipient,
+        offer: args.offer.map(decodeSpentItem),
+        consideration: args.consideration.map(decodeReceivedItem),
+      };
+    case "OrderCancelled":
+    case "OrderValidated":
+      return { ...event, orderHash: args.orderHash, zone: args.zone };
+    case "CounterIncremented":
+      return { ...event, newCounter: args.newCounter };
+    default:
+      throw new Error(`Unknown Seaport event ${name}`);
+  }
+};
+
+/**
+ * Function to get the Seaport events of a block range, queried in pages so
+ * that providers limiting the range of eth_getLogs can be used
+ * @param provider Provider from ethers
+ * @param seaport Address of Seaport
+ * @param {Object} options
+ * @param {string[]} [options.eventNames] Events to get, default all
+ * @param {number} options.fromBlock First block
+ * @param {number} [options.toBlock] Last block, default the latest
+ * @param {number} [options.pageSize] Blocks per eth_getLogs query
+ * @param {string} [options.offerer] Only the events of this offerer
+ * @param {string} [options.zone] Only the events of this zone
+ * @returns {Object[]} events from decodeSeaportLog, oldest first
+ */
+export const getSeaportEvents = async (
+  provider,
+  seaport,
+  {
+    eventNames = SEAPORT_EVENTS,
+    fromBlock,
+    toBlock,
+    pageSize = 2000,
+    offerer,
+    zone,
+  }
+) => {
+  if (fromBlock === undefined) {
+    throw new Error("fromBlock is needed to query events");
+  }
+  const topics = getTopics(eventNames, offerer, zone);
+  const lastBlock = toBlock ?? (await provider.getBlockNumber());
+
+  const events = [];
+  for (let start = fromBlock; start <= lastBlock; start += pageSize) {
+    const logs = await provider.getLogs({
+      address: seaport,
+      topics,
+      fromBlock: start,
+      toBlock: Math.min(start + pageSize - 1, lastBlock),
+    });
+    events.push(...logs.map(decodeSeaportLog));
+  }
+  return events;
+};
+
+/**
+ * Function to be called back with the Seaport events of every new block,
+ * once the block has enough confirmations not to be reorged anymore
+ * @param provider Provider from ethers
+ * @param seaport Address of Seaport
+ * @param {Object} options Options of getSeaportEvents, and
+ * @param {number} [options.confirmations] Blocks to wait on top of the block
+ *                                         of an event
+ * @param {number} [options.fromBlock] First block, default the next
+ *                                     confirmed block
+ * @param {Function} [options.onError] Called with the error of a failed
+ *                   query, the blocks are queried again on the next block
+ * @param {Function} callback Called with each event, oldest first
+ * @returns {Function} to stop the subscription
+ */
+export const subscribeToSeaportEvents = (
+  provider,
+  seaport,
+  { confirmations = 12, fromBlock, onError, ...options },
+  callback
+) => {
+  let nextBlock = fromBlock;
+  let running = Promise.resolve();
+  let stopped = false;
+
+  const poll = async (blockNumber) => {
+    const lastConfirmed = blockNumber - confirmations;
+    nextBlock = nextBlock ?? lastConfirmed + 1;
+    if (stopped || lastConfirmed < nextBlock) {
+      return;
+    }
+    try {
+      const events = await getSeaportEvents(provider, seaport, {
+        ...options,
+        fromBlock: nextBlock,
+        toBlock: lastConfirmed,
+      });
+      nextBlock = lastConfirmed + 1;
+      events.forEach((event) => !stopped && callback(event));
+    } catch (error) {
+      if (onError) onError(error);
+    }
+  };
+
+  // Blocks are handled one after the other, never twice
+  const onBlock = (blockNumber) => {
+    running = running.then(() => poll(blockNumber));
+  };
+  provider.on("block", onBlock);
+
+  return () => {
+    stopped = true;
+    provider.off("block", onBlock);
+  };
+};
+
+/**
+ * Function to get the hashes of the orders a mined transaction fulfilled
+ * @param receipt Transaction receipt from ethers
+ * @param seaport Address of Seaport
+ * @returns {string[]} orderHashes of the OrderFulfilled events
+ */
+export const getFulfilledOrderHashes = (receipt, seaport) => {
+  const topic = seaportInterface.getEventTopic("OrderFulfilled");
+  return receipt.logs
+    .filter(
+      ({ address, topics }) =>
+        address.toLowerCase() === seaport.toLowerCase() && topics[0] === topic
+    )
+    .map((log) => decodeSeaportLog(log).orderHash);
+};
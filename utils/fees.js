@@ -0,0 +1,82 @@
+import { getOfferOrConsiderationItem, toBN } from "./pure";
+
+const ONE_HUNDRED_PERCENT_BP = 10000;
+
+const validateFees = (fees) => {
+  fees.forEach(({ recipient, basisPoints }) => {
+    if (typeof recipient !== "string") {
+      throw new Error("Fee recipient must be an address");
+    }
+    if (!Number.isInteger(basisPoints) || basisPoints < 0) {
+      throw new Error(`Invalid fee basisPoints: ${basisPoints}`);
+    }
+  });
+
+  const totalBasisPoints = fees.reduce((a, b) => a + b.basisPoints, 0);
+  if (totalBasisPoints > ONE_HUNDRED_PERCENT_BP) {
+    throw new Error(
+      `Total fees of ${totalBasisPoints} basis points exceed the sale price`
+    );
+  }
+};
+
+// Rounds down so that the fees never exceed the sale price
+export const getFeeAmount = (amount, basisPoints) =>
+  toBN(amount).mul(basisPoints).div(ONE_HUNDRED_PERCENT_BP);
+
+/**
+ * Function to get the consideration items paying fees on a price
+ * @notice startAmount and endAmount are taken proportionally, so fees of
+ *         Dutch auctions follow the price.
+ * @param {Object} priceItem NATIVE or ERC20 item of the full price
+ * @param {Object[]} fees Fees to pay on the price
+ * @param {string} fees.recipient Address who recieve the fee
+ * @param {number} fees.basisPoints Fee in basis points (1 / 10000)
+ * @returns {Object[]} formatted fee items, in the currency of priceItem
+ */
+export const getFeeItems = (priceItem, fees) => {
+  const { itemType, token, startAmount, endAmount } = priceItem;
+  if (itemType !== 0 && itemType !== 1) {
+    throw new Error(`Fees can only be paid in NATIVE or ERC20: ${itemType}`);
+  }
+  validateFees(fees);
+
+  return fees
+    .map(({ recipient, basisPoints }) =>
+      getOfferOrConsiderationItem(
+        itemType,
+        token,
+        0,
+        getFeeAmount(startAmount, basisPoints),
+        getFeeAmount(endAmount, basisPoints),
+        recipient
+      )
+    )
+    .filter(
+      ({ startAmount, endAmount }) =>
+        !startAmount.isZero() || !endAmount.isZero()
+    );
+};
+
+/**
+ * Function to split a sale price between the seller and the fee recipients
+ * @param {Object} saleItem NATIVE or ERC20 item of the full price, with the
+ *                          seller as recipient
+ * @param {Object[]} fees Fees deducted from the seller's proceeds
+ * @param {string} fees.recipient Address who recieve the fee
+ * @param {number} fees.basisPoints Fee in basis points (1 / 10000)
+ * @returns {Object[]} consideration items, the seller's first
+ */
+export const getConsiderationWithFees = (saleItem, fees) => {
+  const feeItems = getFeeItems(saleItem, fees);
+  const sum = (key) => feeItems.reduce((a, b) => a.add(b[key]), toBN(0));
+
+  return [
+    {
+      ...saleItem,
+      startAmount: toBN(saleItem.startAmount).sub(sum("startAmount")),
+      endAmount: toBN(saleItem.endAmount).sub(sum("endAmount")),
+    },
+    ...feeItems,
+  ];
+};
@@ -0,0 +1,79 @@
+import { toBN } from "./pure";
+
+const gcd = (a, b) => (b.isZero() ? a : gcd(b, a.mod(b)));
+
+const isPartialItem = ({ itemType }) => itemType === 3 || itemType === 5;
+
+/**
+ * Function to get the amount of units a partial fill is counted in, the
+ * amount of the first ERC1155 item of the offer, else of the consideration
+ * @param order Order to fill
+ * @returns total amount of units of the order
+ */
+export const getTotalUnits = (order) => {
+  const { offer, consideration } = order.parameters;
+  const unitItem =
+    offer.find(isPartialItem) ?? consideration.find(isPartialItem);
+  if (!unitItem) {
+    throw new Error("Partial fills need an ERC1155 item to count units");
+  }
+  if (!toBN(unitItem.startAmount).eq(toBN(unitItem.endAmount))) {
+    throw new Error("Partial fills need a fixed ERC1155 amount");
+  }
+  return toBN(unitItem.startAmount);
+};
+
+/**
+ * Function to get the fraction filling a given amount of units, checked
+ * against every item the same way Seaport does
+ * @param order Order to fill
+ * @param {string|number} amountToFill Units to fill, see getTotalUnits
+ * @param {Object[]} [tips] Tips added as consideration, scaled by the
+ *                          fraction too
+ * @returns { numerator, denominator } reduced fraction
+ */
+export const getPartialFillFraction = (order, amountToFill, tips = []) => {
+  const totalUnits = getTotalUnits(order);
+  const amount = toBN(amountToFill);
+  if (amount.isZero() || amount.gt(totalUnits)) {
+    throw new Error(
+      `BadFraction: can not fill ${amount} out of ${totalUnits} units`
+    );
+  }
+
+  const divisor = gcd(totalUnits, amount);
+  const numerator = amount.div(divisor);
+  const denominator = totalUnits.div(divisor);
+
+  const { offer, consideration } = order.parameters;
+  [...offer, ...consideration, ...tips].forEach(
+    ({ startAmount, endAmount }) => {
+      if (
+        !toBN(startAmount).mul(numerator).mod(denominator).isZero() ||
+        !toBN(endAmount).mul(numerator).mod(denominator).isZero()
+      ) {
+        throw new Error(
+          `InexactFraction: ${numerator}/${denominator} of ${startAmount} ~ ${endAmount} is not a whole amount`
+        );
+      }
+    }
+  );
+
+  return { numerator, denominator };
+};
+
+/**
+ * Function to get the units that are still fillable
+ * @param order Order to fill
+ * @param orderStatus Result of getOrderStatus
+ * @returns remaining amount of units
+ */
+export const getRemainingUnits = (order, { totalFilled, totalSize }) => {
+  const totalUnits = getTotalUnits(order);
+  if (toBN(totalSize).isZero()) {
+    return totalUnits;
+  }
+  return totalUnits
+    .mul(toBN(totalSize).sub(toBN(totalFilled)))
+    .div(toBN(totalSize));
+};
@@ -0,0 +1,199 @@
+import {
+  getMaxAmount,
+  toBN,
+  toFulfillment,
+  toFulfillmentComponents,
+} from "./pure";
+
+// Criteria based items become regular items once resolved
+const getResolvedItemType = ({ itemType }) =>
+  itemType === 4 || itemType === 5 ? itemType - 2 : itemType;
+
+// Identifier of an item once its criteria is resolved
+const getIdentifier = (
+  item,
+  orderIndex,
+  side,
+  itemIndex,
+  criteriaResolvers
+) => {
+  const resolver = criteriaResolvers.find(
+    (r) =>
+      r.orderIndex === orderIndex && r.side === side && r.index === itemIndex
+  );
+  return toBN(resolver ? resolver.identifier : item.identifierOrCriteria);
+};
+
+// Groups [orderIndex, itemIndex] pairs of the items sharing the same key
+const groupItems = (orders, getItems, getKey) => {
+  const groups = new Map();
+  orders.forEach((order, orderIndex) => {
+    getItems(order).forEach((item, itemIndex) => {
+      const key = getKey(order, item, orderIndex, itemIndex);
+      groups.set(key, [...(groups.get(key) ?? []), [orderIndex, itemIndex]]);
+    });
+  });
+  return [...groups.values()].map(toFulfillmentComponents);
+};
+
+/**
+ * Function to get the fulfillments of fulfillAvailableOrders, aggregating
+ * the items of every order that can be transferred together
+ * @notice Offer items are aggregated when they share offerer, conduitKey,
+ *         itemType, token and identifier; consideration items when they
+ *         share itemType, token, identifier and recipient.
+ * @param {Object[]} orders Orders to fulfill
+ * @param {Object[]} [criteriaResolvers] criteriaResolvers of the orders
+ * @returns { offerFulfillments, considerationFulfillments }
+ */
+export const getAvailableOrdersFulfillments = (
+  orders,
+  criteriaResolvers = []
+) => ({
+  offerFulfillments: groupItems(
+    orders,
+    (order) => order.parameters.offer,
+    (order, item, orderIndex, itemIndex) =>
+      [
+        order.parameters.offerer.toLowerCase(),
+        order.parameters.conduitKey.toLowerCase(),
+        getResolvedItemType(item),
+        item.token.toLowerCase(),
+        getIdentifier(item, orderIndex, 0, itemIndex, criteriaResolvers),
+      ].join("-")
+  ),
+  considerationFulfillments: groupItems(
+    orders,
+    (order) => order.parameters.consideration,
+    (order, item, orderIndex, itemIndex) =>
+      [
+        getResolvedItemType(item),
+        item.token.toLowerCase(),
+        getIdentifier(item, orderIndex, 1, itemIndex, criteriaResolvers),
+        item.recipient.toLowerCase(),
+      ].join("-")
+  ),
+});
+
+// How much ether (at most) needs to be supplied to fulfill every order
+export const getNativeValue = (orders) =>
+  orders
+    .flatMap((order) => order.parameters.consideration)
+    .filter(({ itemType }) => itemType === 0)
+    .map(getMaxAmount)
+    .reduce((a, b) => a.add(b), toBN(0));
+
+/**
+ * Function to get the fulfillments of matchOrders / matchAdvancedOrders for
+ * any number of orders. The offer items of the same offerer, conduitKey and
+ * token are aggregated, as are the consideration items of the same token and
+ * recipient, then each consideration is covered by the offers of its token.
+ * @notice Amounts are taken conservatively when they change over time: the
+ *         lower of startAmount / endAmount for offer items and the higher
+ *         for consideration items.
+ * @param {Object[]} orders Orders to match
+ * @param {Object[]} [criteriaResolvers] criteriaResolvers of the orders
+ * @returns fulfillments The fulfillments to give to matchOrders
+ * @returns unspentOfferItems The offer items (offerer, itemType, token,
+ *                            identifier, amount) left after every
+ *                            consideration is met, which Seaport transfers
+ *                            to the caller
+ */
+export const getMatchFulfillments = (orders, criteriaResolvers = []) => {
+  const toGroups = (side, getAmount, getExtraKey) => {
+    const groups = new Map();
+    orders.forEach((order, orderIndex) => {
+      const items =
+        side === 0 ? order.parameters.offer : order.parameters.consideration;
+      items.forEach((item, itemIndex) => {
+        const itemType = getResolvedItemType(item);
+        const identifier = getIdentifier(
+          item,
+          orderIndex,
+          side,
+          itemIndex,
+          criteriaResolvers
+        );
+        const matchKey = [itemType, item.token.toLowerCase(), identifier].join(
+          "-"
+        );
+        const key = [matchKey, getExtraKey(order, item)].join("-");
+        const group = groups.get(key) ?? {
+          matchKey,
+          itemType,
+          token: item.token,
+          identifier,
+          offerer: order.parameters.offerer,
+          recipient: item.recipient,
+          components: [],
+          amount: toBN(0),
+        };
+        group.components.push([orderIndex, itemIndex]);
+        group.amount = group.amount.add(getAmount(item));
+        groups.set(key, group);
+      });
+    });
+    return [...groups.values()];
+  };
+
+  const offerGroups = toGroups(
+    0,
+    ({ startAmount, endAmount }) =>
+      toBN(startAmount).lt(toBN(endAmount))
+        ? toBN(startAmount)
+        : toBN(endAmount),
+    (order) =>
+      [
+        order.parameters.offerer.toLowerCase(),
+        order.parameters.conduitKey.toLowerCase(),
+      ].join("-")
+  );
+  const considerationGroups = toGroups(
+    1,
+    ({ startAmount, endAmount }) =>
+      toBN(startAmount).gt(toBN(endAmount))
+        ? toBN(startAmount)
+        : toBN(endAmount),
+    (order, item) => item.recipient.toLowerCase()
+  );
+
+  const fulfillments = [];
+  considerationGroups.forEach((considerationGroup) => {
+    let needed = considerationGroup.amount;
+
+    for (const offerGroup of offerGroups) {
+      if (needed.isZero()) break;
+      if (
+        offerGroup.matchKey !== considerationGroup.matchKey ||
+        offerGroup.amount.isZero()
+      )
+        continue;
+
+      fulfillments.push(
+        toFulfillment(offerGroup.components, considerationGroup.components)
+      );
+      const spent = offerGroup.amount.lt(needed) ? offerGroup.amount : needed;
+      offerGroup.amount = offerGroup.amount.sub(spent);
+      needed = needed.sub(spent);
+    }
+
+    if (!needed.isZero()) {
+      const { token, identifier, recipient } = considerationGroup;
+      throw new Error(
+        `ConsiderationNotMet: no offer covers ${needed} of ${token} #${identifier} to ${recipient}`
+      );
+    }
+  });
+
+  const unspentOfferItems = offerGroups
+    .filter(({ amount }) => !amount.isZero())
+    .map(({ offerer, itemType, token, identifier, amount }) => ({
+      offerer,
+      itemType,
+      token,
+      identifier,
+      amount,
+    }));
+
+  return { fulfillments, unspentOfferItems };
+};
@@ -0,0 +1,102 @@
+import { toBN } from "./pure";
+
+/**
+ * Function to get the amount of an item at a given time, interpolated
+ * between startAmount and endAmount the same way Seaport does
+ * @param item Offer or consideration item
+ * @param startTime Order startTime
+ * @param endTime Order endTime
+ * @param {number} timestamp Timestamp in "seconds"
+ * @param {boolean} roundUp true for consideration items, false for offer
+ * @returns current amount
+ */
+export const getCurrentAmount = (
+  { startAmount, endAmount },
+  startTime,
+  endTime,
+  timestamp,
+  roundUp
+) => {
+  if (toBN(startAmount).eq(toBN(endAmount))) {
+    return toBN(endAmount);
+  }
+
+  const duration = toBN(endTime).sub(toBN(startTime));
+  // Outside of the order's time range the contract reverts, clamp instead
+  const at = toBN(timestamp).lt(toBN(startTime))
+    ? toBN(startTime)
+    : toBN(timestamp).gt(toBN(endTime))
+    ? toBN(endTime)
+    : toBN(timestamp);
+  const elapsed = at.sub(toBN(startTime));
+  const remaining = duration.sub(elapsed);
+  const extraCeiling = roundUp ? duration.sub(1) : toBN(0);
+
+  return toBN(startAmount)
+    .mul(remaining)
+    .add(toBN(endAmount).mul(elapsed))
+    .add(extraCeiling)
+    .div(duration);
+};
+
+/**
+ * Function to get the amounts of every item of an order at a given time
+ * @param order Order in question
+ * @param {number} timestamp Timestamp in "seconds"
+ * @returns { offer, consideration } amounts, in the order of the items
+ */
+export const getCurrentAmounts = (order, timestamp) => {
+  const { offer, consideration, startTime, endTime } = order.parameters;
+  return {
+    offer: offer.map((item) =>
+      getCurrentAmount(item, startTime, endTime, timestamp, false)
+    ),
+    consideration: consideration.map((item) =>
+      getCurrentAmount(item, startTime, endTime, timestamp, true)
+    ),
+  };
+};
+
+/**
+ * Function to get the price of an order at a given time: the NATIVE or
+ * ERC20 consideration items for listings, else the NATIVE or ERC20 offer
+ * items (offers)
+ * @param order Order in question
+ * @param {number} timestamp Timestamp in "seconds"
+ * @returns current price
+ */
+export const getCurrentPrice = (order, timestamp) => {
+  const { offer, consideration } = order.parameters;
+  const amounts = getCurrentAmounts(order, timestamp);
+  const isCurrency = ({ itemType }) => itemType === 0 || itemType === 1;
+  const sumCurrency = (items, itemAmounts) =>
+    items
+      .map((item, i) => (isCurrency(item) ? itemAmounts[i] : toBN(0)))
+      .reduce((a, b) => a.add(b), toBN(0));
+
+  return consideration.some(isCurrency)
+    ? sumCurrency(consideration, amounts.consideration)
+    : sumCurrency(offer, amounts.offer);
+};
+
+/**
+ * Function to get the ether to supply to fulfill an order, enough from
+ * timestamp until timestamp + timeBuffer whether the price goes up or down
+ * @param order Order to fulfill
+ * @param {Object[]} tips Tips added as consideration
+ * @param {number} timestamp Timestamp in "seconds"
+ * @param {number} timeBuffer Seconds the transaction may take to be mined
+ * @returns value
+ */
+export const getFulfillmentValue = (order, tips, timestamp, timeBuffer) => {
+  const { startTime, endTime } = order.parameters;
+  const nativeAt = (at) =>
+    [...order.parameters.consideration, ...tips]
+      .filter(({ itemType }) => itemType === 0)
+      .map((item) => getCurrentAmount(item, startTime, endTime, at, true))
+      .reduce((a, b) => a.add(b), toBN(0));
+
+  const now = nativeAt(timestamp);
+  const later = nativeAt(toBN(timestamp).add(timeBuffer));
+  return now.gt(later) ? now : later;
+};
@@ -1,15 +1,15 @@
 import { randomBytes as nodeRandomBytes } from "crypto";
 import { BigNumber, constants, utils } from "ethers";
-import defaultAddresses from "../contracts/addresses.json";
 import {
   ERC20__factory,
   ERC721__factory,
   ERC1155__factory,
 } from "../contracts/factories";
+import { getDeployment } from "./registry";
 
 const randomBytes = (n) => nodeRandomBytes(n).toString("hex");
 
-const hexRegex = /[A-Fa-fx]/g;
+const hexRegex = /[A-Fa-fx]/;
 
 const toHex = (n, numBytes = 0) => {
   const asHexString = BigNumber.isBigNumber(n)
@@ -17,7 +17,8 @@ const toHex = (n, numBytes = 0) => {
     : typeof n === "string"
     ? hexRegex.test(n)
       ? n.replace(/0x/, "")
-      : Number(n).toString(16)
+      : // decimal strings can exceed Number precision (e.g. large tokenIds)
+        BigNumber.from(n).toHexString().slice(2)
     : Number(n).toString(16);
   return `0x${asHexString.padStart(numBytes * 2, "0")}`;
 };
@@ -79,15 +80,18 @@ export const getApprovalStatus = async (
         MAX_APPROVAL_WITH_BUFFER
       );
       return approvedForMax;
-    case 2 || 4: // ERC721 || ERC721_WITH_CRITERIA
+    case 2: // ERC721
+    case 4: // ERC721_WITH_CRITERIA
       const erc721 = ERC721__factory.connect(asset.token, provider);
       const erc721ApprovalForAllPromise = erc721.isApprovedForAll(
         walletAddress,
         exchangeAddress
       );
-      const erc721ApprovedAddressForIdPromise = erc721.getApproved(
-        asset.tokenId
-      );
+      // Criteria based items have no tokenId, only approval for all applies
+      const erc721ApprovedAddressForIdPromise =
+        asset.tokenId === undefined
+          ? Promise.resolve(constants.AddressZero)
+          : erc721.getApproved(asset.tokenId);
       const [erc721ApprovalForAll, erc721ApprovedAddressForId] =
         await Promise.all([
           erc721ApprovalForAllPromise,
@@ -97,7 +101,8 @@ export const getApprovalStatus = async (
         erc721ApprovedAddressForId.toLowerCase() ===
         exchangeAddress.toLowerCase();
       return erc721ApprovalForAll || tokenIdApproved;
-    case 3 || 5: // ERC1155 || ERC1155_WITH_CRITERIA
+    case 3: // ERC1155
+    case 5: // ERC1155_WITH_CRITERIA
       const erc1155 = ERC1155__factory.connect(asset.token, provider);
       const erc1155ApprovalForAll = await erc1155.isApprovedForAll(
         walletAddress,
@@ -129,7 +134,8 @@ export const approveAsset = async (
         }
       );
       return erc20ApprovalTxPromise;
-    case 2 || 4: // ERC721 || ERC721_WITH_CRITERIA
+    case 2: // ERC721
+    case 4: // ERC721_WITH_CRITERIA
       const erc721 = ERC721__factory.connect(asset.token, signer);
       // If consumer prefers only to approve the tokenId, only approve tokenId
       if (approvalOrderrides?.approvalOnlyTokenIdIfErc721) {
@@ -151,7 +157,8 @@ export const approveAsset = async (
         }
       );
       return erc721ApprovalForAllPromise;
-    case 3 || 5: // ERC1155 || ERC1155_WITH_CRITERIA
+    case 3: // ERC1155
+    case 5: // ERC1155_WITH_CRITERIA
       const erc1155 = ERC1155__factory.connect(asset.token, signer);
       // ERC1155s can only approval all
       const erc1155ApprovalForAll = await erc1155.setApprovalForAll(
@@ -167,21 +174,53 @@ export const approveAsset = async (
   }
 };
 
-export const getWrappedNativeToken = (chainId) => {
-  chainId =
-    typeof chainId === "string" && chainId.includes("0x")
-      ? parseInt(chainId, 16)
-      : chainId;
-  const chainIdString = chainId.toString(10);
-  return defaultAddresses[chainIdString].wrappedNativeToken ?? null;
+// Returns the conduit deployed by the ConduitController for a conduit key
+export const getConduit = async (conduitController, conduitKey) => {
+  const { conduit, exists } = await conduitController.getConduit(conduitKey);
+  if (!exists) {
+    throw new Error(`No conduit deployed for conduit key ${conduitKey}`);
+  }
+  return conduit;
 };
 
+export const getWrappedNativeToken = (chainId) =>
+  getDeployment(chainId).wrappedNativeToken;
+
 export const { parseEther } = utils;
 
+// decimals() of ERC20 tokens, by chainId and token address
+const tokenDecimalsCache = {};
+
+export const getTokenDecimals = async (token, provider, chainId) => {
+  const key = `${chainId}:${token.toLowerCase()}`;
+  if (tokenDecimalsCache[key] === undefined) {
+    // Cache the pending call so concurrent lookups share it
+    tokenDecimalsCache[key] = ERC20__factory.connect(token, provider)
+      .decimals()
+      .catch((e) => {
+        delete tokenDecimalsCache[key];
+        throw e;
+      });
+  }
+  return tokenDecimalsCache[key];
+};
+
+// Human readable amount ("1.5") to base units of a token
+export const parseTokenAmount = (amount, decimals = 18) =>
+  utils.parseUnits(String(amount), decimals);
+
+// Base units of a token to a human readable amount ("1.5")
+export const formatTokenAmount = (amount, decimals = 18) =>
+  utils.formatUnits(amount, decimals);
+
 export const randomHex = (bytes = 32) => `0x${randomBytes(bytes)}`;
 
 export const toBN = (n) => BigNumber.from(toHex(n));
 
+// Highest amount an item can reach between startTime and endTime
+export const getMaxAmount = ({ startAmount, endAmount }) =>
+  toBN(endAmount).gt(toBN(startAmount)) ? toBN(endAmount) : toBN(startAmount);
+
 export const toKey = (n) => toHex(n, 32);
 
 export const convertSignatureToEIP2098 = (signature) => {
@@ -196,11 +235,56 @@ export const convertSignatureToEIP2098 = (signature) => {
   return utils.splitSignature(signature).compact;
 };
 
-export const getOrderHash = async (marketplaceContract, orderComponents) => {
-  const orderHash = await marketplaceContract.getOrderHash(orderComponents);
+// Seaport's order hash is the EIP-712 struct hash of the OrderComponents,
+// so it can be derived locally without calling the contract.
+export const deriveOrderHash = (orderComponents) =>
+  utils._TypedDataEncoder.hashStruct(
+    "OrderComponents",
+    orderType,
+    orderComponents
+  );
+
+export const getOrderHash = async (
+  marketplaceContract,
+  orderComponents,
+  crossCheck = false
+) => {
+  const orderHash = deriveOrderHash(orderComponents);
+
+  if (crossCheck) {
+    const onChainOrderHash = await marketplaceContract.getOrderHash(
+      orderComponents
+    );
+    if (onChainOrderHash !== orderHash) {
+      throw new Error(
+        `Order hash mismatch: derived ${orderHash}, contract returned ${onChainOrderHash}`
+      );
+    }
+  }
+
   return orderHash;
 };
 
+// Required for EIP712 signing
+export const getDomainData = (chainId, verifyingContract) => ({
+  name: "Seaport",
+  version: "1.1",
+  chainId,
+  verifyingContract,
+});
+
+export const deriveDomainSeparator = (chainId, verifyingContract) =>
+  utils._TypedDataEncoder.hashDomain(getDomainData(chainId, verifyingContract));
+
+// Returns the address that signed the order, accepts both 65-byte and
+// EIP-2098 compact (64-byte) signatures
+export const recoverOrderSigner = (domainSeparator, orderHash, signature) => {
+  const digest = utils.keccak256(
+    `0x1901${domainSeparator.slice(2)}${orderHash.slice(2)}`
+  );
+  return utils.recoverAddress(digest, signature);
+};
+
 // Returns signature
 export const signOrder = async (
   marketplaceContract,
@@ -208,30 +292,12 @@ export const signOrder = async (
   orderComponents,
   signer
 ) => {
-  // Required for EIP712 signing
-  const domainData = {
-    name: "Seaport",
-    version: "1.1",
-    chainId,
-    verifyingContract: marketplaceContract.address,
-  };
-
   const signature = await signer._signTypedData(
-    domainData,
+    getDomainData(chainId, marketplaceContract.address),
     orderType,
     orderComponents
   );
 
-  // const orderHash = await getOrderHash(marketplaceContract, orderComponents);
-
-  // const { domainSeparator } = await marketplaceContract.information();
-  // const digest = keccak256(
-  //   `0x1901${domainSeparator.slice(2)}${orderHash.slice(2)}`
-  // );
-  // const recoveredAddress = recoverAddress(digest, signature);
-
-  // expect(recoveredAddress).to.equal(signer.address);
-
   return signature;
 };
 
@@ -259,14 +325,18 @@ export const getOfferOrConsiderationItem = (
   return offerItem;
 };
 
-const toFulfillmentComponents = (arr) =>
+export const toFulfillmentComponents = (arr) =>
   arr.map(([orderIndex, itemIndex]) => ({ orderIndex, itemIndex }));
 
-const toFulfillment = (offerArr, considerationsArr) => ({
+export const toFulfillment = (offerArr, considerationsArr) => ({
   offerComponents: toFulfillmentComponents(offerArr),
   considerationComponents: toFulfillmentComponents(considerationsArr),
 });
 
+/**
+ * @deprecated Only fits two orders at fixed indices, use getMatchFulfillments
+ * from utils/fulfillments instead
+ */
 export const getFulfillment = (
   arr = [
     [[[0, 0]], [[1, 0]]],
@@ -279,6 +349,71 @@ export const getFulfillment = (
     toFulfillment(offerArr, considerationArr)
   );
 
+/**
+ * Function to get the route of fulfillBasicOrder an order can take
+ * @param order Order to fulfill
+ * @param {Object[]} [tips] Tips added as consideration
+ * @returns {number|null} basicOrderRouteType, null if the order can not be
+ *                        fulfilled through fulfillBasicOrder
+ */
+export const getBasicOrderRouteType = (order, tips = []) => {
+  const { offer, consideration } = order.parameters;
+  const cnItemType = consideration[0]?.itemType;
+  let isBasic = false;
+
+  // fulfillBasicOrder條件
+  // offer只能有一個 (20 || 721 || 1155)
+  // offer為20時，cn的第一項一定要是721 || 1155，且其他項也只能為20
+  // offer為721 || 1155時，cn每項的type都要相等，且只能為NATIVE || 20
+  // 金額會隨時間變動的 order 也不能用 fulfillBasicOrder
+  // 其餘皆為 fullfillOrder
+  const hasFixedAmounts = [...offer, ...consideration, ...tips].every(
+    ({ startAmount, endAmount }) => toBN(startAmount).eq(toBN(endAmount))
+  );
+  if (offer.length === 1 && hasFixedAmounts) {
+    if (offer[0].itemType === 1) {
+      if (cnItemType === 2 || cnItemType === 3) {
+        isBasic = true;
+        for (const { itemType } of consideration.slice(1)) {
+          if (itemType === 0 || itemType === 2 || itemType === 3) {
+            isBasic = false;
+            break;
+          }
+        }
+      }
+    } else {
+      if (cnItemType === 0 || cnItemType === 1) {
+        isBasic = true;
+        for (const { itemType } of consideration.slice(1)) {
+          if (itemType !== cnItemType) {
+            isBasic = false;
+            break;
+          }
+        }
+      }
+    }
+  }
+
+  if (!isBasic) {
+    return null;
+  }
+
+  // 0, // EthForERC721
+  // 1, // EthForERC1155
+  // 2, // ERC20ForERC721
+  // 3, // ERC20ForERC1155
+  // 4, // ERC721forERC20
+  // 5, // ERC1155forERC20
+  const offerItemType = offer[0].itemType;
+  if (offerItemType === 1) {
+    return cnItemType === 2 ? 4 : 5;
+  }
+  if (offerItemType === 2) {
+    return cnItemType === 0 ? 0 : 2;
+  }
+  return cnItemType === 0 ? 1 : 3;
+};
+
 export const getBasicOrderParameters = (
   basicOrderRouteType,
   order,
@@ -318,6 +453,10 @@ export const getBasicOrderParameters = (
   ],
 });
 
+/**
+ * @deprecated Only matches two orders and assumes the indices [0, x] and
+ * [1, x], use getMatchFulfillments from utils/fulfillments instead
+ */
 export const getFulFillmentArrByOrder = (order, orderToMatch) => {
   const { offer, consideration: cn } = order.parameters;
   const { offer: offerToMatch, consideration: cnToMatch } =
@@ -334,8 +473,7 @@ export const getFulFillmentArrByOrder = (order, orderToMatch) => {
     for (let cnTMI = 0; cnTMI < cnToMatch.length; ++cnTMI) {
       if (
         oToken !== cnToMatch[cnTMI].token ||
-        (oItemType !== 1 &&
-          oId.toNumber() !== cnToMatch[cnTMI].identifierOrCriteria.toNumber())
+        (oItemType !== 1 && !oId.eq(cnToMatch[cnTMI].identifierOrCriteria))
       )
         continue;
 
@@ -346,10 +484,7 @@ export const getFulFillmentArrByOrder = (order, orderToMatch) => {
     if (oItemType !== 1) continue;
 
     for (let cnI = 0; cnI < cn.length; ++cnI) {
-      if (
-        oToken !== cn[cnI].token ||
-        oId.toNumber() !== cn[cnI].identifierOrCriteria.toNumber()
-      )
+      if (oToken !== cn[cnI].token || !oId.eq(cn[cnI].identifierOrCriteria))
         continue;
 
       fArr.push([[[0, oI]], [[0, cnI]]]);
@@ -366,8 +501,7 @@ export const getFulFillmentArrByOrder = (order, orderToMatch) => {
     for (let cnIn = 0; cnIn < cn.length; ++cnIn) {
       if (
         oToken !== cn[cnIn].token ||
-        (oItemType !== 1 &&
-          oId.toNumber() !== cn[cnIn].identifierOrCriteria.toNumber())
+        (oItemType !== 1 && !oId.eq(cn[cnIn].identifierOrCriteria))
       )
         continue;
 
@@ -381,7 +515,7 @@ export const getFulFillmentArrByOrder = (order, orderToMatch) => {
     for (let cnTMIn = 0; cnTMIn < cnToMatch.length; ++cnTMIn) {
       if (
         oToken !== cnToMatch[cnTMIn].token ||
-        oId.toNumber() !== cnToMatch[cnTMIn].identifierOrCriteria.toNumber()
+        !oId.eq(cnToMatch[cnTMIn].identifierOrCriteria)
       )
         continue;
 
@@ -0,0 +1,83 @@
+import defaultAddresses from "../contracts/addresses.json";
+
+// Deployments registered at runtime, e.g. local chains (1337 / 31337)
+const registeredDeployments = {};
+
+const emptyDeployment = {
+  wrappedNativeToken: null,
+  seaport: null,
+  conduitController: null,
+  // conduitKey => conduit address
+  conduits: {},
+  // name => zone address
+  zones: {},
+};
+
+// Empty strings in addresses.json mean "not deployed"
+const withoutEmptyAddresses = (deployment = {}) =>
+  Object.fromEntries(
+    Object.entries(deployment).filter(
+      ([, address]) => address !== "" && address != null
+    )
+  );
+
+const mergeDeployments = (...deployments) =>
+  deployments.reduce(
+    (merged, deployment) => {
+      const cleaned = withoutEmptyAddresses(deployment);
+      return {
+        ...merged,
+        ...cleaned,
+        conduits: { ...merged.conduits, ...cleaned.conduits },
+        zones: { ...merged.zones, ...cleaned.zones },
+      };
+    },
+    { ...emptyDeployment }
+  );
+
+/**
+ * @param {string|number} chainId chainId || networkId, decimal or hex
+ * @returns {number} chainId
+ */
+export const normalizeChainId = (chainId) =>
+  typeof chainId === "string" && chainId.includes("0x")
+    ? parseInt(chainId, 16)
+    : parseInt(chainId.toString(10), 10);
+
+/**
+ * Function to register the contracts of a chain at runtime, merged over the
+ * default addresses of that chain if any
+ * @param {string|number} chainId chainId || networkId
+ * @param {Object} deployment
+ * @param {string} [deployment.seaport] Seaport address
+ * @param {string} [deployment.conduitController] ConduitController address
+ * @param {Object} [deployment.conduits] Known conduits, conduitKey => address
+ * @param {string} [deployment.wrappedNativeToken] Wrapped native token address
+ * @param {Object} [deployment.zones] Known zones, name => address
+ */
+export const registerDeployment = (chainId, deployment) => {
+  const id = normalizeChainId(chainId);
+  registeredDeployments[id] = mergeDeployments(
+    registeredDeployments[id],
+    deployment
+  );
+};
+
+/**
+ * Function to get the contracts of a chain
+ * @param {string|number} chainId chainId || networkId
+ * @param {Object} [overrides] Addresses taking precedence over the registry
+ * @returns {Object} deployment of the chain
+ */
+export const getDeployment = (chainId, overrides) => {
+  const id = normalizeChainId(chainId);
+  const defaults = defaultAddresses[id.toString(10)];
+
+  if (!defaults && !registeredDeployments[id] && !overrides) {
+    throw new Error(
+      `Unknown chain ${id}: register its contracts with registerDeployment or pass them to the SDK`
+    );
+  }
+
+  return mergeDeployments(defaults, registeredDeployments[id], overrides);
+};
@@ -0,0 +1,158 @@
+import { constants } from "ethers";
+import { ERC2981__factory } from "../contracts/factories";
+import { getOfferOrConsiderationItem, toBN } from "./pure";
+
+export const ERC2981_INTERFACE_ID = "0x2a55205a";
+
+// Collections without ERC-165 revert on supportsInterface
+export const supportsERC2981 = async (token, provider) => {
+  try {
+    return await ERC2981__factory.connect(token, provider).supportsInterface(
+      ERC2981_INTERFACE_ID
+    );
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Function to get the ERC-2981 royalty of a token
+ * @param token Token address
+ * @param {string|number} tokenId TokenId
+ * @param salePrice Price the token is sold for
+ * @param provider Provider from ethers
+ * @returns {Object|null} { recipient, amount }, null without ERC-2981
+ */
+export const getRoyaltyInfo = async (token, tokenId, salePrice, provider) => {
+  if (!(await supportsERC2981(token, provider))) {
+    return null;
+  }
+  const { receiver, royaltyAmount } = await ERC2981__factory.connect(
+    token,
+    provider
+  ).royaltyInfo(tokenId, salePrice);
+  return { recipient: receiver, amount: royaltyAmount };
+};
+
+/**
+ * Function to append the ERC-2981 royalties of the ERC721/ERC1155 offer items
+ * to the consideration, deducted from the offerer's payment
+ * @notice The price of a bundle is split evenly between its items.
+ * @param {Object[]} offer Offer items
+ * @param {Object[]} consideration Consideration items, the payment to the
+ *                                 offerer in NATIVE or ERC20 among them. The
+ *                                 sale price is the sum of the items in its
+ *                                 currency, fees included.
+ * @param offerer Address of the offerer
+ * @param provider Provider from ethers
+ * @param {Function} [royaltyOverride] Called as (offerItem, royalty) with the
+ *                   royalty found ({ recipient, startAmount, endAmount } or
+ *                   null), returns the royalty to use instead, null to skip
+ * @returns {Object[]} consideration items
+ */
+export const getConsiderationWithRoyalties = async (
+  offer,
+  consideration,
+  offerer,
+  provider,
+  royaltyOverride
+) => {
+  const paymentIndex = consideration.findIndex(
+    ({ itemType, recipient }) =>
+      (itemType === 0 || itemType === 1) &&
+      recipient?.toLowerCase() === offerer.toLowerCase()
+  );
+  const nftItems = offer.filter(
+    ({ itemType }) => itemType === 2 || itemType === 3
+  );
+  if (paymentIndex === -1 || nftItems.length === 0) {
+    return consideration;
+  }
+
+  const payment = consideration[paymentIndex];
+  const priceItems = consideration.filter(
+    ({ itemType, token }) =>
+      itemType === payment.itemType &&
+      token.toLowerCase() === payment.token.toLowerCase()
+  );
+  const sumPrice = (key) =>
+    priceItems.reduce((a, b) => a.add(toBN(b[key])), toBN(0));
+  const startPrice = sumPrice("startAmount").div(nftItems.length);
+  const endPrice = sumPrice("endAmount").div(nftItems.length);
+
+  const royalties = await Promise.all(
+    nftItems.map(async (item) => {
+      const { token, identifierOrCriteria } = item;
+      let royalty = null;
+
+      if (await supportsERC2981(token, provider)) {
+        const contract = ERC2981__factory.connect(token, provider);
+        const [atStart, atEnd] = await Promise.all([
+          contract.royaltyInfo(identifierOrCriteria, startPrice),
+          contract.royaltyInfo(identifierOrCriteria, endPrice),
+        ]);
+        if (atStart.receiver !== constants.AddressZero) {
+          royalty = {
+            recipient: atStart.receiver,
+            startAmount: atStart.royaltyAmount,
+            endAmount: atEnd.royaltyAmount,
+          };
+        }
+      }
+
+      return royaltyOverride ? royaltyOverride(item, royalty) : royalty;
+    })
+  );
+
+  // One consideration item per recipient
+  const byRecipient = {};
+  royalties.filter(Boolean).forEach(({ recipient, startAmount, endAmount }) => {
+    const key = recipient.toLowerCase();
+    const current = byRecipient[key] ?? {
+      recipient,
+      startAmount: toBN(0),
+      endAmount: toBN(0),
+    };
+    byRecipient[key] = {
+      recipient,
+      startAmount: current.startAmount.add(toBN(startAmount)),
+      endAmount: current.endAmount.add(toBN(endAmount)),
+    };
+  });
+
+  const royaltyItems = Object.values(byRecipient)
+    .filter(
+      ({ startAmount, endAmount }) =>
+        !startAmount.isZero() || !endAmount.isZero()
+    )
+    .map(({ recipient, startAmount, endAmount }) =>
+      getOfferOrConsiderationItem(
+        payment.itemType,
+        payment.token,
+        0,
+        startAmount,
+        endAmount,
+        recipient
+      )
+    );
+
+  const sum = (key) => royaltyItems.reduce((a, b) => a.add(b[key]), toBN(0));
+  const paymentAfterRoyalties = {
+    ...payment,
+    startAmount: toBN(payment.startAmount).sub(sum("startAmount")),
+    endAmount: toBN(payment.endAmount).sub(sum("endAmount")),
+  };
+  if (
+    paymentAfterRoyalties.startAmount.isNegative() ||
+    paymentAfterRoyalties.endAmount.isNegative()
+  ) {
+    throw new Error("Royalties exceed the sale price");
+  }
+
+  return [
+    ...consideration.slice(0, paymentIndex),
+    paymentAfterRoyalties,
+    ...consideration.slice(paymentIndex + 1),
+    ...royaltyItems,
+  ];
+};
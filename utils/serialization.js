@@ -0,0 +1,220 @@
+import { BigNumber, utils } from "ethers";
+import { toBN } from "./pure";
+
+// Amounts are stored as decimal strings, the format of the OpenSea API
+const toDecimal = (n) => toBN(n).toString();
+
+// Times fit in a number unless they are far in the future (e.g. uint256 max)
+const toTime = (n) => {
+  const time = toBN(n);
+  return time.lt(toBN(2).pow(53)) ? time.toNumber() : time;
+};
+
+const fail = (kind, path, expected) => {
+  throw new Error(`Invalid ${kind}: ${path} must be ${expected}`);
+};
+
+const isUint = (value) => {
+  if (BigNumber.isBigNumber(value)) {
+    return !value.isNegative();
+  }
+  if (typeof value === "number") {
+    return Number.isSafeInteger(value) && value >= 0;
+  }
+  return (
+    typeof value === "string" &&
+    (/^\d+$/.test(value) || /^0x[0-9a-fA-F]+$/.test(value))
+  );
+};
+
+// BigNumbers parsed from JSON without the SDK look like { type, hex }
+const revive = (value) =>
+  value?.type === "BigNumber" && typeof value.hex === "string"
+    ? BigNumber.from(value.hex)
+    : value;
+
+const checkUint = (kind, path, value, max = 256) => {
+  if (!isUint(value) || toBN(value).gt(toBN(2).pow(max).sub(1))) {
+    fail(kind, path, `an uint${max}`);
+  }
+};
+
+const checkAddress = (kind, path, value) => {
+  if (typeof value !== "string" || !utils.isAddress(value)) {
+    fail(kind, path, "an address");
+  }
+};
+
+const checkBytes32 = (kind, path, value) => {
+  if (!utils.isHexString(value, 32)) {
+    fail(kind, path, "a bytes32 hex string");
+  }
+};
+
+const checkItem = (kind, path, item, isConsideration) => {
+  if (typeof item !== "object" || item === null) {
+    fail(kind, path, "an item");
+  }
+  if (![0, 1, 2, 3, 4, 5].includes(Number(item.itemType))) {
+    fail(kind, `${path}.itemType`, "an ItemType (0 to 5)");
+  }
+  checkAddress(kind, `${path}.token`, item.token);
+  ["identifierOrCriteria", "startAmount", "endAmount"].forEach((key) =>
+    checkUint(kind, `${path}.${key}`, revive(item[key]))
+  );
+  if (isConsideration) {
+    checkAddress(kind, `${path}.recipient`, item.recipient);
+  }
+};
+
+const checkParameters = (kind, path, parameters, needsCounter) => {
+  if (typeof parameters !== "object" || parameters === null) {
+    fail(kind, path || kind, "an object");
+  }
+  const prefix = path ? `${path}.` : "";
+  checkAddress(kind, `${prefix}offerer`, parameters.offerer);
+  checkAddress(kind, `${prefix}zone`, parameters.zone);
+  ["offer", "consideration"].forEach((side) => {
+    if (!Array.isArray(parameters[side])) {
+      fail(kind, `${prefix}${side}`, "an array");
+    }
+    parameters[side].forEach((item, i) =>
+      checkItem(kind, `${prefix}${side}[${i}]`, item, side === "consideration")
+    );
+  });
+  if (![0, 1, 2, 3].includes(Number(parameters.orderType))) {
+    fail(kind, `${prefix}orderType`, "an OrderType (0 to 3)");
+  }
+  checkUint(kind, `${prefix}startTime`, revive(parameters.startTime));
+  checkUint(kind, `${prefix}endTime`, revive(parameters.endTime));
+  checkBytes32(kind, `${prefix}zoneHash`, parameters.zoneHash);
+  checkUint(kind, `${prefix}salt`, revive(parameters.salt));
+  checkBytes32(kind, `${prefix}conduitKey`, parameters.conduitKey);
+  checkUint(
+    kind,
+    `${prefix}totalOriginalConsiderationItems`,
+    revive(parameters.totalOriginalConsiderationItems)
+  );
+  if (needsCounter || parameters.counter !== undefined) {
+    checkUint(kind, `${prefix}counter`, revive(parameters.counter));
+  }
+};
+
+const itemToJSON = (item) => ({
+  ...item,
+  itemType: Number(item.itemType),
+  identifierOrCriteria: toDecimal(item.identifierOrCriteria),
+  startAmount: toDecimal(item.startAmount),
+  endAmount: toDecimal(item.endAmount),
+});
+
+const itemFromJSON = (item) => ({
+  ...item,
+  itemType: Number(item.itemType),
+  identifierOrCriteria: toBN(revive(item.identifierOrCriteria)),
+  startAmount: toBN(revive(item.startAmount)),
+  endAmount: toBN(revive(item.endAmount)),
+});
+
+const parametersToJSON = (parameters) => ({
+  ...parameters,
+  offer: parameters.offer.map(itemToJSON),
+  consideration: parameters.consideration.map(itemToJSON),
+  orderType: Number(parameters.orderType),
+  startTime: toDecimal(parameters.startTime),
+  endTime: toDecimal(parameters.endTime),
+  salt: toDecimal(parameters.salt),
+  totalOriginalConsiderationItems: Number(
+    parameters.totalOriginalConsiderationItems
+  ),
+  ...(parameters.counter !== undefined && {
+    counter: toDecimal(parameters.counter),
+  }),
+});
+
+const parametersFromJSON = (parameters) => ({
+  ...parameters,
+  offer: parameters.offer.map(itemFromJSON),
+  consideration: parameters.consideration.map(itemFromJSON),
+  orderType: Number(parameters.orderType),
+  startTime: toTime(revive(parameters.startTime)),
+  endTime: toTime(revive(parameters.endTime)),
+  salt: toBN(revive(parameters.salt)),
+  totalOriginalConsiderationItems: toBN(
+    revive(parameters.totalOriginalConsiderationItems)
+  ).toNumber(),
+  ...(parameters.counter !== undefined && {
+    counter: toBN(revive(parameters.counter)),
+  }),
+});
+
+const parse = (json) => (typeof json === "string" ? JSON.parse(json) : json);
+
+/**
+ * Function to serialize an order, e.g. to store it in a backend
+ * @param order Order from createOrder
+ * @returns {string} JSON, amounts as decimal strings. The parameters and
+ *                   signature are in the protocol_data format of the
+ *                   OpenSea API
+ */
+export const serializeOrder = (order) =>
+  JSON.stringify({
+    parameters: parametersToJSON(order.parameters),
+    signature: order.signature,
+    numerator: toDecimal(order.numerator ?? 1),
+    denominator: toDecimal(order.denominator ?? 1),
+    extraData: order.extraData ?? "0x",
+  });
+
+/**
+ * Function to restore an order from serializeOrder, also accepts the orders
+ * of the OpenSea API (with or without their protocol_data envelope)
+ * @param {string|Object} json JSON or the parsed object
+ * @returns order to give to fulfillOrder, matchOrders...
+ */
+export const deserializeOrder = (json) => {
+  const parsed = parse(json);
+  const order = parsed?.protocol_data ?? parsed;
+  if (typeof order !== "object" || order === null) {
+    fail("order", "order", "an object");
+  }
+  checkParameters("order", "parameters", order.parameters, false);
+  if (order.signature !== null && !utils.isHexString(order.signature)) {
+    fail("order", "signature", "a hex string or null");
+  }
+  ["numerator", "denominator"].forEach((key) => {
+    if (order[key] !== undefined) {
+      checkUint("order", key, revive(order[key]), 120);
+    }
+  });
+  if (order.extraData !== undefined && !utils.isHexString(order.extraData)) {
+    fail("order", "extraData", "a hex string");
+  }
+
+  return {
+    parameters: parametersFromJSON(order.parameters),
+    signature: order.signature ?? "0x",
+    numerator: toBN(revive(order.numerator ?? 1)),
+    denominator: toBN(revive(order.denominator ?? 1)),
+    extraData: order.extraData ?? "0x",
+  };
+};
+
+/**
+ * Function to serialize orderComponents
+ * @param orderComponents orderComponents from createOrder
+ * @returns {string} JSON, amounts as decimal strings
+ */
+export const serializeOrderComponents = (orderComponents) =>
+  JSON.stringify(parametersToJSON(orderComponents));
+
+/**
+ * Function to restore orderComponents from serializeOrderComponents
+ * @param {string|Object} json JSON or the parsed object
+ * @returns orderComponents to give to cancelOrders, getOrderHash...
+ */
+export const deserializeOrderComponents = (json) => {
+  const orderComponents = parse(json);
+  checkParameters("orderComponents", "", orderComponents, true);
+  return parametersFromJSON(orderComponents);
+};
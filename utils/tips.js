@@ -0,0 +1,51 @@
+/**
+ * Function to check tips before adding them to the consideration of an order
+ * @param {Object[]} tips Tips as consideration items
+ */
+export const checkTips = (tips) => {
+  tips.forEach(({ itemType, recipient }, i) => {
+    if (itemType === 4 || itemType === 5) {
+      throw new Error(`Tip ${i} can not be a criteria based item`);
+    }
+    if (typeof recipient !== "string") {
+      throw new Error(`Tip ${i} has no recipient`);
+    }
+  });
+};
+
+/**
+ * Function to get a copy of an order with tips added to its consideration,
+ * the given order is left as is
+ * @param order Order to fulfill
+ * @param {Object[]} tips Tips as consideration items
+ * @returns order
+ */
+export const withTips = (order, tips) =>
+  tips.length === 0
+    ? order
+    : {
+        ...order,
+        parameters: {
+          ...order.parameters,
+          consideration: [...order.parameters.consideration, ...tips],
+        },
+      };
+
+/**
+ * Function to check that tips can be paid as additional recipients of a basic
+ * order: in the NATIVE or ERC20 token the fulfiller pays with, or in the ERC20
+ * token offered for the routes where the fulfiller gives the NFT
+ * @param order Order to fulfill
+ * @param {number} basicOrderRouteType Route of fulfillBasicOrder, 0 ~ 5
+ * @param {Object[]} tips Tips as consideration items
+ * @returns {boolean} true if fulfillBasicOrder can pay the tips
+ */
+export const areTipsBasicCompatible = (order, basicOrderRouteType, tips) => {
+  const { offer, consideration } = order.parameters;
+  const currency = basicOrderRouteType >= 4 ? offer[0] : consideration[0];
+  return tips.every(
+    ({ itemType, token }) =>
+      itemType === currency.itemType &&
+      token.toLowerCase() === currency.token.toLowerCase()
+  );
+};
@@ -0,0 +1,396 @@
+import { constants } from "ethers";
+import {
+  ERC20__factory,
+  ERC721__factory,
+  ERC1155__factory,
+} from "../contracts/factories";
+import { getApprovalStatus, getMaxAmount, toBN } from "./pure";
+
+// Side of an item, same as CriteriaResolver.side
+const OFFER = 0;
+const CONSIDERATION = 1;
+
+// Every problem is reported with the name of the Seaport error that the
+// contract would revert with, so callers can match them against the ABI.
+const toProblem = (code, message, side, index) => ({
+  code,
+  message,
+  side,
+  index,
+});
+
+const isCriteriaItem = (itemType) => itemType === 4 || itemType === 5;
+
+/**
+ * Whether fulfillOrder sends the order through the ERC721/ERC1155 for ERC20
+ * routes of fulfillBasicOrder, on which the offerer pays the consideration
+ * items after the first one out of its offer
+ * @param order Order to fulfill
+ * @returns {boolean}
+ */
+export const isPaidByOffererBasicOrder = (order) => {
+  const { offer, consideration } = order.parameters;
+  const isPartial =
+    order.numerator && !toBN(order.numerator).eq(toBN(order.denominator));
+  if (
+    isPartial ||
+    (order.extraData ?? "0x") !== "0x" ||
+    offer.length !== 1 ||
+    offer[0].itemType !== 1 ||
+    consideration.length === 0
+  ) {
+    return false;
+  }
+  const [first, ...rest] = consideration;
+  return (
+    (first.itemType === 2 || first.itemType === 3) &&
+    rest.every(({ itemType }) => itemType === 1) &&
+    [...offer, ...consideration].every(({ startAmount, endAmount }) =>
+      toBN(startAmount).eq(toBN(endAmount))
+    )
+  );
+};
+
+/**
+ * Static checks that only need the order itself
+ * @param order Order to check
+ * @param {number} timestamp Timestamp in "seconds" to check the order against
+ * @param {object[]} [criteriaResolvers] criteriaResolvers given on fulfillment
+ * @returns {object[]} problems found, empty if none
+ */
+export const checkOrderParameters = (
+  order,
+  timestamp,
+  criteriaResolvers = []
+) => {
+  const {
+    offer,
+    consideration,
+    orderType,
+    startTime,
+    endTime,
+    totalOriginalConsiderationItems,
+  } = order.parameters;
+  const problems = [];
+
+  if (toBN(startTime).gt(timestamp) || toBN(endTime).lte(timestamp)) {
+    problems.push(
+      toProblem(
+        "InvalidTime",
+        `Order is only valid from ${startTime} until ${endTime}, checked at ${timestamp}`
+      )
+    );
+  }
+
+  if (toBN(totalOriginalConsiderationItems).gt(consideration.length)) {
+    problems.push(
+      toProblem(
+        "MissingOriginalConsiderationItems",
+        `Order has ${consideration.length} consideration items, expected at least ${totalOriginalConsiderationItems}`
+      )
+    );
+  }
+
+  const numerator = order.numerator ?? 1;
+  const denominator = order.denominator ?? 1;
+  if (
+    toBN(numerator).isZero() ||
+    toBN(denominator).isZero() ||
+    toBN(numerator).gt(toBN(denominator))
+  ) {
+    problems.push(
+      toProblem("BadFraction", `Invalid fraction ${numerator}/${denominator}`)
+    );
+  } else if (
+    (orderType === 0 || orderType === 2) &&
+    !toBN(numerator).eq(toBN(denominator))
+  ) {
+    problems.push(
+      toProblem(
+        "PartialFillsNotEnabledForOrder",
+        `Order type ${orderType} does not support partial fills`
+      )
+    );
+  }
+
+  const checkItem = (item, side, index) => {
+    const { itemType, token, identifierOrCriteria, startAmount, endAmount } =
+      item;
+    const sideName = side === OFFER ? "Offer" : "Consideration";
+
+    if (side === OFFER && itemType === 0) {
+      problems.push(
+        toProblem(
+          "InvalidNativeOfferItem",
+          "Native token can not be offered, use the wrapped native token",
+          side,
+          index
+        )
+      );
+    }
+
+    if (
+      (itemType === 0 && token !== constants.AddressZero) ||
+      ((itemType === 0 || itemType === 1) &&
+        !toBN(identifierOrCriteria).isZero())
+    ) {
+      problems.push(
+        toProblem(
+          "UnusedItemParameters",
+          `${sideName} item ${index} sets a token or identifier its itemType does not use`,
+          side,
+          index
+        )
+      );
+    }
+
+    if (toBN(startAmount).isZero() && toBN(endAmount).isZero()) {
+      problems.push(
+        toProblem(
+          "MissingItemAmount",
+          `${sideName} item ${index} has no amount`,
+          side,
+          index
+        )
+      );
+    } else if (
+      (itemType === 2 || itemType === 4) &&
+      (!toBN(startAmount).eq(1) || !toBN(endAmount).eq(1))
+    ) {
+      problems.push(
+        toProblem(
+          "InvalidERC721TransferAmount",
+          `${sideName} item ${index} is an ERC721 with an amount other than 1`,
+          side,
+          index
+        )
+      );
+    }
+
+    if (
+      isCriteriaItem(itemType) &&
+      !criteriaResolvers.some(
+        (resolver) => resolver.side === side && resolver.index === index
+      )
+    ) {
+      problems.push(
+        toProblem(
+          side === OFFER
+            ? "UnresolvedOfferCriteria"
+            : "UnresolvedConsiderationCriteria",
+          `${sideName} item ${index} requires a criteria resolver`,
+          side,
+          index
+        )
+      );
+    }
+  };
+
+  offer.forEach((item, index) => checkItem(item, OFFER, index));
+  consideration.forEach((item, index) => checkItem(item, CONSIDERATION, index));
+
+  return problems;
+};
+
+/**
+ * Checks the on-chain status of an order
+ * @param orderHash The order hash in question
+ * @param orderStatus Result of getOrderStatus
+ * @param {number} orderType 0 ~ 3
+ * @returns {object[]} problems found, empty if none
+ */
+export const checkOrderStatus = (
+  orderHash,
+  { isCancelled, totalFilled, totalSize },
+  orderType
+) => {
+  if (isCancelled) {
+    return [toProblem("OrderIsCancelled", `Order ${orderHash} is cancelled`)];
+  }
+  if (!toBN(totalSize).isZero() && toBN(totalFilled).gte(toBN(totalSize))) {
+    return [
+      toProblem("OrderAlreadyFilled", `Order ${orderHash} is already filled`),
+    ];
+  }
+  if ((orderType === 0 || orderType === 2) && !toBN(totalFilled).isZero()) {
+    return [
+      toProblem(
+        "OrderPartiallyFilled",
+        `Order ${orderHash} is partially filled`
+      ),
+    ];
+  }
+  return [];
+};
+
+// Lowest amount an item can reach between startTime and endTime
+const getMinAmount = ({ startAmount, endAmount }) =>
+  toBN(endAmount).lt(toBN(startAmount)) ? toBN(endAmount) : toBN(startAmount);
+
+/**
+ * Checks that the owner holds and approved every item it has to transfer
+ * @param owner Address that transfers the items
+ * @param operator Address that needs to be approved (Seaport or a conduit)
+ * @param {object[]} items Items with their side and index
+ * @param provider Provider from ethers
+ * @param {object[]} [credits] Items the owner receives before transferring
+ *                             its own, e.g. the offer items for the
+ *                             fulfiller. ERC20 credits count as balance.
+ * @returns {object[]} problems found, empty if none
+ */
+export const checkBalancesAndApprovals = async (
+  owner,
+  operator,
+  items,
+  provider,
+  credits = []
+) => {
+  const problems = [];
+  const nativeAmount = items
+    .filter(({ itemType }) => itemType === 0)
+    .reduce((a, b) => a.add(getMaxAmount(b)), toBN(0));
+
+  if (nativeAmount.gt(0)) {
+    const balance = await provider.getBalance(owner);
+    if (balance.lt(nativeAmount)) {
+      problems.push(
+        toProblem(
+          "InsufficientEtherSupplied",
+          `${owner} has ${balance} native token, ${nativeAmount} needed`
+        )
+      );
+    }
+  }
+
+  // ERC20 items of the same token are paid out of the same balance
+  const erc20Totals = {};
+  items
+    .filter(({ itemType }) => itemType === 1)
+    .forEach((item) => {
+      const key = item.token.toLowerCase();
+      erc20Totals[key] = (erc20Totals[key] ?? toBN(0)).add(getMaxAmount(item));
+    });
+  const erc20Credits = {};
+  credits
+    .filter(({ itemType }) => itemType === 1)
+    .forEach((item) => {
+      const key = item.token.toLowerCase();
+      erc20Credits[key] = (erc20Credits[key] ?? toBN(0)).add(
+        getMinAmount(item)
+      );
+    });
+
+  await Promise.all(
+    items
+      .filter(
+        (item, i) =>
+          item.itemType !== 0 &&
+          // one check per ERC20 token
+          (item.itemType !== 1 ||
+            items.findIndex(
+              ({ itemType, token }) =>
+                itemType === 1 &&
+                token.toLowerCase() === item.token.toLowerCase()
+            ) === i)
+      )
+      .map(async (item) => {
+        const { itemType, token, identifierOrCriteria, side, index } = item;
+        let amount = getMaxAmount(item);
+        let hasBalance;
+        let isApproved;
+
+        switch (itemType) {
+          case 1: {
+            // ERC20
+            amount = erc20Totals[token.toLowerCase()];
+            const credit = erc20Credits[token.toLowerCase()] ?? toBN(0);
+            const erc20 = ERC20__factory.connect(token, provider);
+            const [balance, allowance] = await Promise.all([
+              erc20.balanceOf(owner),
+              erc20.allowance(owner, operator),
+            ]);
+            hasBalance = balance.add(credit).gte(amount);
+            isApproved = allowance.gte(amount);
+            break;
+          }
+          case 2:
+          case 4: {
+            // ERC721 || ERC721_WITH_CRITERIA
+            const erc721 = ERC721__factory.connect(token, provider);
+            const [tokenOwner, approved] = await Promise.all([
+              erc721.ownerOf(identifierOrCriteria).catch(() => null),
+              getApprovalStatus(
+                owner,
+                operator,
+                { itemType: 2, token, tokenId: identifierOrCriteria },
+                provider
+              ),
+            ]);
+            hasBalance = tokenOwner?.toLowerCase() === owner.toLowerCase();
+            isApproved = approved;
+            break;
+          }
+          default: {
+            // ERC1155 || ERC1155_WITH_CRITERIA
+            const erc1155 = ERC1155__factory.connect(token, provider);
+            const [balance, approved] = await Promise.all([
+              erc1155.balanceOf(owner, identifierOrCriteria),
+              getApprovalStatus(
+                owner,
+                operator,
+                { itemType: 3, token },
+                provider
+              ),
+            ]);
+            hasBalance = balance.gte(amount);
+            isApproved = approved;
+          }
+        }
+
+        if (!hasBalance) {
+          problems.push(
+            toProblem(
+              "TokenTransferGenericFailure",
+              `${owner} does not hold ${amount} of ${token} #${identifierOrCriteria}`,
+              side,
+              index
+            )
+          );
+        }
+        if (!isApproved) {
+          problems.push(
+            toProblem(
+              "TokenTransferGenericFailure",
+              `${token} is not approved for ${operator} by ${owner}`,
+              side,
+              index
+            )
+          );
+        }
+      })
+  );
+
+  return problems;
+};
+
+// Replaces the criteria of criteria based items by their resolved identifier,
+// items that could not be resolved are left out.
+export const resolveItems = (items, side, criteriaResolvers = []) =>
+  items
+    .map((item, index) => {
+      if (!isCriteriaItem(item.itemType)) {
+        return { ...item, side, index };
+      }
+      const resolver = criteriaResolvers.find(
+        (r) => r.side === side && r.index === index
+      );
+      return resolver
+        ? {
+            ...item,
+            identifierOrCriteria: resolver.identifier,
+            side,
+            index,
+          }
+        : null;
+    })
+    .filter(Boolean);
@@ -0,0 +1,78 @@
+import { WETH__factory } from "../contracts/factories";
+import { getMaxAmount, toBN } from "./pure";
+
+/**
+ * Function to wrap native token, e.g. ETH into WETH
+ * @param wrappedToken Address of the wrapped native token
+ * @param amount Amount to wrap
+ * @param signer Signer from ethers
+ * @param txOverrides Overrides of the transaction
+ * @returns An ethers contract transaction
+ */
+export const depositNative = (wrappedToken, amount, signer, txOverrides = {}) =>
+  WETH__factory.connect(wrappedToken, signer).deposit({
+    ...txOverrides,
+    value: toBN(amount),
+  });
+
+/**
+ * Function to unwrap wrapped native token, e.g. WETH into ETH
+ * @param wrappedToken Address of the wrapped native token
+ * @param amount Amount to unwrap
+ * @param signer Signer from ethers
+ * @param txOverrides Overrides of the transaction
+ * @returns An ethers contract transaction
+ */
+export const withdrawNative = (
+  wrappedToken,
+  amount,
+  signer,
+  txOverrides = {}
+) =>
+  WETH__factory.connect(wrappedToken, signer).withdraw(toBN(amount), {
+    ...txOverrides,
+  });
+
+export const getWrappedBalance = (wrappedToken, owner, provider) =>
+  WETH__factory.connect(wrappedToken, provider).balanceOf(owner);
+
+/**
+ * Function to replace the NATIVE offer items, which Seaport rejects
+ * (InvalidNativeOfferItem), by ERC20 items of the wrapped native token
+ * @param {Object[]} offer Offer items
+ * @param wrappedToken Address of the wrapped native token
+ * @returns {Object[]} offer items
+ */
+export const toWrappedOffer = (offer, wrappedToken) => {
+  if (offer.some(({ itemType }) => itemType === 0) && !wrappedToken) {
+    throw new Error("No wrapped native token to replace native offer items");
+  }
+  return offer.map((item) =>
+    item.itemType === 0 ? { ...item, itemType: 1, token: wrappedToken } : item
+  );
+};
+
+/**
+ * Function to get how much native token the offerer still has to wrap for
+ * its offer to be fillable
+ * @param {Object[]} offer Offer items
+ * @param wrappedToken Address of the wrapped native token
+ * @param owner Address of the offerer
+ * @param provider Provider from ethers
+ * @returns amount to wrap, 0 if the offerer holds enough already
+ */
+export const getAmountToWrap = async (offer, wrappedToken, owner, provider) => {
+  const needed = offer
+    .filter(
+      ({ itemType, token }) =>
+        itemType === 1 && token.toLowerCase() === wrappedToken.toLowerCase()
+    )
+    .map(getMaxAmount)
+    .reduce((a, b) => a.add(b), toBN(0));
+  if (needed.isZero()) {
+    return needed;
+  }
+
+  const balance = await getWrappedBalance(wrappedToken, owner, provider);
+  return needed.gt(balance) ? needed.sub(balance) : toBN(0);
+};
@@ -0,0 +1,103 @@
+import { constants, utils } from "ethers";
+import { Zone__factory } from "../contracts/factories";
+
+// bytes4(keccak256("isValidOrder(bytes32,address,address,bytes32)"))
+export const VALID_ORDER_MAGIC_VALUE = "0x0e1d31dc";
+
+/**
+ * Function to compute a zoneHash committing to ABI encoded values, for zones
+ * checking e.g. an allow list or a price given as extraData against it
+ * @param {string[]} types Solidity types, e.g. ["address", "uint256"]
+ * @param {Array} values Values of the types
+ * @returns {string} zoneHash
+ */
+export const getZoneHash = (types, values) =>
+  utils.keccak256(utils.defaultAbiCoder.encode(types, values));
+
+/**
+ * Function to compute a zoneHash committing to an EIP-712 struct
+ * @param {string} primaryType Name of the struct, e.g. "AuctionTerms"
+ * @param {Object} types EIP-712 types, as given to signTypedData
+ * @param {Object} data Struct to commit to
+ * @returns {string} zoneHash
+ */
+export const getTypedZoneHash = (primaryType, types, data) =>
+  utils._TypedDataEncoder.hashStruct(primaryType, types, data);
+
+// FULL_RESTRICTED || PARTIAL_RESTRICTED
+export const isRestrictedOrder = (order) => {
+  const { orderType } = order.parameters ?? order;
+  return orderType === 2 || orderType === 3;
+};
+
+/**
+ * Function to check whether a caller may execute a restricted order the way
+ * Seaport does: the offerer and the zone always can, anyone else only if the
+ * zone validates the order for them
+ * @param order Order to execute
+ * @param orderHash Hash of the order
+ * @param caller Address executing the order
+ * @param provider Provider from ethers
+ * @param {Object} [options]
+ * @param {Object[]} [options.criteriaResolvers] Resolvers the order is
+ *                                               fulfilled with
+ * @returns {boolean} true if the caller can execute the order
+ */
+export const canExecuteOrder = async (
+  order,
+  orderHash,
+  caller,
+  provider,
+  { criteriaResolvers = [] } = {}
+) => {
+  const { offerer, zone, zoneHash } = order.parameters;
+  if (
+    !isRestrictedOrder(order) ||
+    caller.toLowerCase() === offerer.toLowerCase() ||
+    caller.toLowerCase() === zone.toLowerCase()
+  ) {
+    return true;
+  }
+  if (zone === constants.AddressZero) {
+    return false;
+  }
+
+  const zoneContract = Zone__factory.connect(zone, provider);
+  const isAdvanced =
+    (order.extraData && order.extraData !== "0x") ||
+    criteriaResolvers.length > 0;
+  // A zone that is not a contract, or that rejects the order, reverts
+  try {
+    const magicValue = isAdvanced
+      ? await zoneContract.isValidOrderIncludingExtraData(
+          orderHash,
+          caller,
+          { numerator: 1, denominator: 1, extraData: "0x", ...order },
+          [],
+          criteriaResolvers
+        )
+      : await zoneContract.isValidOrder(orderHash, caller, offerer, zoneHash);
+    return magicValue === VALID_ORDER_MAGIC_VALUE;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Function to check that a caller may cancel orders: Seaport only lets the
+ * offerer or the zone of an order cancel it (InvalidCanceller)
+ * @param {Object[]} orderComponents orderComponents to cancel
+ * @param caller Address cancelling
+ */
+export const checkCanceller = (orderComponents, caller) => {
+  orderComponents.forEach(({ offerer, zone }, i) => {
+    if (
+      caller.toLowerCase() !== offerer.toLowerCase() &&
+      caller.toLowerCase() !== zone.toLowerCase()
+    ) {
+      throw new Error(
+        `InvalidCanceller: ${caller} is neither the offerer nor the zone of order ${i}`
+      );
+    }
+  });
+};